@@ -0,0 +1,138 @@
+// ------------------------------------------------------------
+// 🛠️ Admin API – slide library, playlists and photo uploads
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { glob } from "glob";
+import { slideType, SLIDE_TYPES, STILL_EFFECTS, SEQUENCE_EFFECTS, TRANSITIONS } from "./configschema.js";
+import { upsertSlide, deleteSlide, setInclude } from "./configwriter.js";
+import { IMAGE_EXTS, MAX_UPLOAD_BYTES } from "./photoapi.js";
+import { isVideoFile } from "./videoprobe.js";
+import { safeGlob } from "./safepath.js";
+import { albumPattern } from "./albums.js";
+
+export function createAdminRouter(express, { photosDir, cacheDir, adminDir, configStore, configWriter, photoStore }) {
+  const router = express.Router();
+
+  const toUrl = (prefix, rel) => `${prefix}/${rel.replace(/\\/g, "/")}`;
+
+  // Prefer the thumbnail, then the resized copy in cache/, then the original.
+  function thumbFor(rel) {
+    if (!rel || isVideoFile(rel)) return null;
+    if (fs.existsSync(path.join(cacheDir, "_thumb", rel))) return toUrl("/cache/_thumb", rel);
+    if (fs.existsSync(path.join(cacheDir, rel))) return toUrl("/cache", rel);
+    if (fs.existsSync(path.join(photosDir, rel))) return toUrl("/photos", rel);
+    return null;
+  }
+
+  async function slideThumb(slide) {
+    const type = slideType(slide);
+    if (type === "still") return thumbFor(slide.file);
+    if (type === "sequence" || type === "album") {
+      const [first] = await safeGlob(photosDir, type === "album" ? albumPattern(slide) : slide.file);
+      return thumbFor(first);
+    }
+    if (type === "youtube" && slide.video_id) return `https://img.youtube.com/vi/${slide.video_id}/mqdefault.jpg`;
+    return null;
+  }
+
+  function sendError(res, err) {
+    const status = err.issues ? 400 : 500;
+    if (status === 500) console.error("❌ Admin error:", err);
+    res.status(status).json({ error: err.message, issues: err.issues || [] });
+  }
+
+  function save(res, edit, summary) {
+    try {
+      const result = configWriter.update(edit, summary);
+      configStore.reload();
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      sendError(res, err);
+    }
+  }
+
+  // ------------------------------------------------------------
+  // 🖥️ Admin page
+  // ------------------------------------------------------------
+  router.get("/", (req, res) => res.sendFile(path.join(adminDir, "index.html")));
+  router.get("/clients", (req, res) => res.sendFile(path.join(adminDir, "clients.html")));
+
+  // ------------------------------------------------------------
+  // 📋 State: slides (with thumbnails), playlists, photo list
+  // ------------------------------------------------------------
+  router.get("/api/state", async (req, res) => {
+    try {
+      const cfg = configStore.get();
+      const slides = await Promise.all(
+        (cfg.slides || []).map(async (s) => ({ ...s, type: slideType(s), thumb: await slideThumb(s) }))
+      );
+      const playlists = { default: cfg.default?.include || [] };
+      for (const [name, entry] of Object.entries(cfg.clients || {})) playlists[name] = entry?.include || [];
+      res.json({
+        slides,
+        playlists,
+        types: SLIDE_TYPES,
+        effects: { still: STILL_EFFECTS, sequence: SEQUENCE_EFFECTS, album: STILL_EFFECTS },
+        transitions: TRANSITIONS,
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  router.get("/api/photos", async (req, res) => {
+    try {
+      const files = (await glob("**/*", { cwd: photosDir, nodir: true }))
+        .filter((f) => IMAGE_EXTS.includes(path.extname(f).toLowerCase()) || isVideoFile(f))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      const folders = [...new Set(files.map((f) => path.dirname(f)).filter((d) => d !== "."))];
+      res.json({ files: files.map((f) => ({ file: f, thumb: thumbFor(f) })), folders });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ------------------------------------------------------------
+  // ✏️ Slides
+  // ------------------------------------------------------------
+  router.put("/api/slides/:id", express.json(), (req, res) => {
+    const slide = { ...req.body, id: req.params.id };
+    delete slide.thumb;
+    // still, sequence, video and pause are inferred from file; keep the YAML terse
+    if (slideType({ ...slide, type: undefined }) === slide.type) delete slide.type;
+    for (const [k, v] of Object.entries(slide)) if (v === "" && k !== "file") delete slide[k];
+    save(res, (text) => upsertSlide(text, slide), `slide ${slide.id}`);
+  });
+
+  router.delete("/api/slides/:id", (req, res) => {
+    save(res, (text) => deleteSlide(text, req.params.id), `delete ${req.params.id}`);
+  });
+
+  // ------------------------------------------------------------
+  // 📺 Playlists (client include lists; "default" is the shared one)
+  // ------------------------------------------------------------
+  router.put("/api/playlists/:name", express.json(), (req, res) => {
+    const include = req.body?.include;
+    if (!Array.isArray(include)) return res.status(400).json({ error: "include must be a list" });
+    save(res, (text) => setInclude(text, req.params.name, include.map(String)), `playlist ${req.params.name}`);
+  });
+
+  // ------------------------------------------------------------
+  // 📤 Photo upload: PUT raw bytes to /admin/api/photos/<dir>/<file>
+  //    (same pipeline as /api/photos — derivatives + EXIF metadata)
+  // ------------------------------------------------------------
+  router.put("/api/photos/*file", async (req, res) => {
+    if (Number(req.get("content-length")) > MAX_UPLOAD_BYTES)
+      return res.status(413).json({ error: `Upload exceeds ${MAX_UPLOAD_BYTES} bytes` });
+    try {
+      res.json({ ok: true, ...(await photoStore.save([].concat(req.params.file).join("/"), req)) });
+    } catch (err) {
+      req.resume(); // refused before reading: drain so the answer arrives
+      if (!err.status) console.error("❌ Admin upload error:", err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,165 @@
+// ------------------------------------------------------------
+// 🗂️ Album slides – photos picked from a folder, newest files included
+// ------------------------------------------------------------
+//   - id: reno_album
+//     type: album
+//     folder: renovation/phone    # every image in it (or file: "reno/*.jpg")
+//     select: latest              # all (default) | latest | random | shuffle
+//     count: 20                   # photos per loop (latest defaults to 20)
+//     days: 14                    # only photos taken in the last 14 days
+//     order: oldest               # oldest (default) | newest | name | name-desc
+//     duration: 6                 # seconds per photo; effect, kenburns and
+//                                 # caption work as on a still
+//
+// Capture time is EXIF DateTimeOriginal, else the file's mtime; name order
+// is natural (IMG_9 before IMG_10). random draws a new sample every loop;
+// shuffle deals from a per-kiosk deck, so every photo shows once before
+// any repeats, across loops. The player sees one still per photo, all
+// carrying the album's id. The album watcher calls onChange() when files
+// arrive or leave, so kiosks pick them up without a config edit.
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { safeGlob } from "./safepath.js";
+import { isImageFile } from "./imagecache.js";
+
+export const ALBUM_SELECTS = ["all", "latest", "random", "shuffle"];
+export const ALBUM_ORDERS = ["oldest", "newest", "name", "name-desc"];
+// Selections that differ from loop to loop (the player asks again at the end of each)
+export const REDEAL_SELECTS = ["random", "shuffle"];
+const DEFAULT_LATEST = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WATCH_MS = 60 * 1000;
+
+export function albumPattern(slide) {
+  if (slide.file) return slide.file;
+  return slide.folder ? `${String(slide.folder).replace(/\/+$/, "")}/*` : "";
+}
+
+const byName = (a, b) => a.file.localeCompare(b.file, undefined, { numeric: true });
+
+const SORTS = {
+  oldest: (a, b) => a.taken - b.taken || byName(a, b),
+  newest: (a, b) => b.taken - a.taken || byName(b, a),
+  name: byName,
+  "name-desc": (a, b) => byName(b, a),
+};
+
+function shuffled(list) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const mtimeOf = (abs) => fs.promises.stat(abs).then((s) => s.mtimeMs, () => 0);
+
+// takenAt(absPath) → EXIF capture time (ISO) or null, from the image cache
+export function createAlbums({ photosDir, takenAt }) {
+  const decks = new Map(); // "client|album" → { left: [file], shown: Set }
+
+  // → [{ file, taken (epoch ms) }]
+  async function photos(slide) {
+    const files = (await safeGlob(photosDir, albumPattern(slide))).filter(isImageFile);
+    return Promise.all(
+      files.map(async (file) => {
+        const abs = path.join(photosDir, file);
+        const taken = Date.parse((await takenAt(abs)) || "") || (await mtimeOf(abs));
+        return { file, taken };
+      })
+    );
+  }
+
+  // Next count files from the kiosk's deck; reshuffled once every photo had a turn
+  function deal(key, files, count) {
+    const d = decks.get(key) || { left: [], shown: new Set() };
+    decks.set(key, d);
+    const present = new Set(files);
+    d.left = d.left.filter((f) => present.has(f));
+    // Photos added since the last shuffle join the ones still to come
+    const fresh = files.filter((f) => !d.shown.has(f) && !d.left.includes(f));
+    if (fresh.length) d.left = shuffled([...d.left, ...fresh]);
+
+    const out = [];
+    const n = Math.min(count || files.length, files.length);
+    while (out.length < n) {
+      if (!d.left.length) {
+        d.shown = new Set();
+        d.left = shuffled(files.filter((f) => !out.includes(f)));
+      }
+      const f = d.left.shift();
+      out.push(f);
+      d.shown.add(f);
+    }
+    return out;
+  }
+
+  // slide → [{ file, taken }] in play order for one kiosk
+  async function pick(slide, clientId = "") {
+    let list = await photos(slide);
+    if (slide.days) {
+      const since = Date.now() - slide.days * DAY_MS;
+      list = list.filter((p) => p.taken >= since);
+    }
+    const select = slide.select || "all";
+    if (select === "shuffle") {
+      const byFile = new Map(list.map((p) => [p.file, p]));
+      return deal(`${clientId}|${slide.id}`, [...byFile.keys()], slide.count).map((f) => byFile.get(f));
+    }
+    if (select === "latest") list = [...list].sort(SORTS.newest).slice(0, slide.count || DEFAULT_LATEST);
+    else if (select === "random") list = shuffled(list).slice(0, slide.count || list.length);
+    list = [...list].sort(SORTS[slide.order] || SORTS.oldest);
+    return select === "all" && slide.count ? list.slice(0, slide.count) : list;
+  }
+
+  // Changes whenever the album's files do (names, mtimes) or, with days:, the date
+  async function signature(slide) {
+    const files = (await safeGlob(photosDir, albumPattern(slide))).filter(isImageFile);
+    const stamps = await Promise.all(files.map((f) => mtimeOf(path.join(photosDir, f))));
+    const day = slide.days ? Math.floor(Date.now() / DAY_MS) : "";
+    return `${day}|${files.map((f, i) => `${f}@${stamps[i]}`).join("|")}`;
+  }
+
+  return { pick, signature };
+}
+
+// slides() → current slide library; onChange(ids) when an album's files change
+export function createAlbumWatcher({ albums, slides, onChange, log, intervalMs = WATCH_MS }) {
+  const seen = new Map(); // slide id → signature
+  let timer = null;
+
+  async function check() {
+    const watched = (slides() || []).filter((s) => s.type === "album");
+    const changed = [];
+    for (const slide of watched) {
+      let sig;
+      try {
+        sig = await albums.signature(slide);
+      } catch (err) {
+        log(`⚠️ Album ${slide.id} unreadable: ${err.message}`);
+        continue;
+      }
+      if (seen.has(slide.id) && seen.get(slide.id) !== sig) changed.push(slide.id);
+      seen.set(slide.id, sig);
+    }
+    for (const id of seen.keys()) if (!watched.some((s) => s.id === id)) seen.delete(id);
+    if (changed.length) {
+      log(`🗂️ Album contents changed: ${changed.join(", ")}`);
+      onChange(changed);
+    }
+    return changed;
+  }
+
+  // onChange or slides() may throw; an unhandled rejection would end the process
+  const checkSafely = () => check().catch((err) => log(`⚠️ Album check failed: ${err.message}`));
+
+  function start() {
+    checkSafely();
+    timer = setInterval(checkSafely, intervalMs);
+    timer.unref?.();
+  }
+
+  return { check, start };
+}
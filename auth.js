@@ -0,0 +1,91 @@
+// ------------------------------------------------------------
+// 🔐 Authentication – admin and kiosk access from .env
+// ------------------------------------------------------------
+// Admin (/admin, uploads, remote control, reports, client list):
+//   KIOSK_ADMIN_USER     (default "admin")
+//   KIOSK_ADMIN_PASSWORD basic-auth password
+//   KIOSK_ADMIN_TOKEN    or "Authorization: Bearer <token>" for scripts
+//   Admin routes are disabled until one of the two is set.
+//
+// Everything else (player, photos, cache, APIs kiosks call):
+//   KIOSK_ACCESS_TOKEN   unset: open to the LAN as before. Set: kiosks open
+//                        /?client=<id>&token=<token> once (remembered in a
+//                        cookie) or send "Authorization: Bearer <token>";
+//                        admin credentials are accepted too.
+// ------------------------------------------------------------
+import crypto from "crypto";
+import { parseCookies } from "./clientid.js";
+
+export const TOKEN_COOKIE = "kiosk_token";
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 yr
+const REALM = 'Basic realm="Photo Kiosk Admin", charset="UTF-8"';
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+export function adminCredentials(env = process.env) {
+  return {
+    user: env.KIOSK_ADMIN_USER || env.ADMIN_USER || "admin",
+    password: env.KIOSK_ADMIN_PASSWORD || env.ADMIN_PASSWORD || "",
+    token: env.KIOSK_ADMIN_TOKEN || "",
+  };
+}
+
+export function accessToken(env = process.env) {
+  return env.KIOSK_ACCESS_TOKEN || "";
+}
+
+function bearer(req) {
+  const [scheme, value] = (req.get("authorization") || "").split(" ");
+  return scheme === "Bearer" && value ? value : "";
+}
+
+// true / false for offered credentials, null when none were offered
+function checkAdmin(req, { user, password, token }) {
+  const [scheme, encoded] = (req.get("authorization") || "").split(" ");
+  if (scheme === "Bearer" && encoded) return !!token && safeEqual(encoded, token);
+  if (scheme === "Basic" && encoded) {
+    const decoded = Buffer.from(encoded, "base64").toString("utf8");
+    const i = decoded.indexOf(":");
+    return !!password && i >= 0 && safeEqual(decoded.slice(0, i), user) && safeEqual(decoded.slice(i + 1), password);
+  }
+  return null;
+}
+
+// For routes open to kiosks that do more for admins
+export function isAdmin(req, creds) {
+  return checkAdmin(req, creds) === true;
+}
+
+export function requireAdmin(creds, log) {
+  return (req, res, next) => {
+    if (!creds.password && !creds.token) {
+      return res.status(503).json({ error: "Admin disabled — set KIOSK_ADMIN_PASSWORD or KIOSK_ADMIN_TOKEN in .env" });
+    }
+    const ok = checkAdmin(req, creds);
+    if (ok) return next();
+    if (ok === false) log(`🔐 Rejected admin login from ${req.ip}`);
+    res.set("WWW-Authenticate", REALM);
+    res.status(401).json({ error: "Authentication required" });
+  };
+}
+
+// Kiosk-level access; a no-op while KIOSK_ACCESS_TOKEN is unset
+export function requireAccess(token, admin, log) {
+  return (req, res, next) => {
+    if (!token) return next();
+    const offered = req.query?.token || bearer(req) || parseCookies(req.headers.cookie)[TOKEN_COOKIE];
+    if (offered && safeEqual(offered, token)) {
+      if (req.query?.token) res.cookie(TOKEN_COOKIE, token, { maxAge: COOKIE_MAX_AGE, httpOnly: true, sameSite: "lax" });
+      return next();
+    }
+    if (checkAdmin(req, admin)) return next();
+    if (offered) log(`🔐 Rejected access token from ${req.ip} for ${req.path}`);
+    // Browsers get the admin login prompt; kiosks need ?token=
+    res.set("WWW-Authenticate", REALM);
+    res.status(401).json({ error: "Access token required" });
+  };
+}
@@ -0,0 +1,203 @@
+// ------------------------------------------------------------
+// 🧾 Cache manifest – freshness, orphans and LRU size cap
+// ------------------------------------------------------------
+// cache/_manifest.json records, per cached file (key = path under cache/):
+//   source    photo it was made from (relative to photos/)
+//   mtime     source mtime (ms) and size when it was generated
+//   size
+//   hash      sha1 of the source bytes
+//   params    resize parameters (width, height, format, quality)
+//   bytes     size of the cached file
+//   created / used   ISO timestamp / epoch ms of the last hit (LRU order)
+//
+// A cheap stat decides freshness; the hash is only computed when mtime or
+// size moved, so a touched-but-identical photo is not reprocessed. Hashes
+// are remembered per source path + mtime + size, so the variants of one
+// photo read it once, and writes are batched (flush() forces one).
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const MANIFEST_FILE = "_manifest.json";
+const SAVE_DELAY_MS = 2000;
+const MAX_REMEMBERED_HASHES = 10000;
+
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha1");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+const sameParams = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export function createCacheManifest({ cacheDir, photosDir, maxBytes = 0, log }) {
+  const manifestPath = path.join(cacheDir, MANIFEST_FILE);
+  const stats = { hits: 0, misses: 0, regenerated: 0, evicted: 0, pruned: 0 };
+  let entries = {};
+  let saveTimer = null;
+  const hashes = new Map(); // "path|mtime|size" → Promise<sha1>
+
+  try {
+    entries = JSON.parse(fs.readFileSync(manifestPath, "utf8")).entries || {};
+  } catch {
+    entries = {}; // first run, or a corrupt manifest — everything is re-verified
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const tmp = `${manifestPath}.tmp-${process.pid}`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries }, null, 1));
+    fs.renameSync(tmp, manifestPath);
+  }
+
+  // Batch writes: a pre-cache run records thousands of variants
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  function sourceHash(sourcePath, st) {
+    const id = `${sourcePath}|${st.mtimeMs}|${st.size}`;
+    if (!hashes.has(id)) {
+      if (hashes.size >= MAX_REMEMBERED_HASHES) hashes.delete(hashes.keys().next().value);
+      const pending = hashFile(sourcePath);
+      pending.catch(() => hashes.delete(id));
+      hashes.set(id, pending);
+    }
+    return hashes.get(id);
+  }
+
+  function removeFile(key) {
+    fs.rmSync(path.join(cacheDir, key), { force: true });
+    delete entries[key];
+  }
+
+  // true when cache/<key> exists and was made from the current source bytes with `params`
+  async function isFresh(key, sourcePath, params) {
+    const entry = entries[key];
+    if (!entry || !sameParams(entry.params, params) || !fs.existsSync(path.join(cacheDir, key))) {
+      stats.misses++;
+      return false;
+    }
+    const st = fs.statSync(sourcePath);
+    if (st.mtimeMs !== entry.mtime || st.size !== entry.size) {
+      if (st.size !== entry.size || (await sourceHash(sourcePath, st)) !== entry.hash) {
+        stats.misses++;
+        stats.regenerated++;
+        return false;
+      }
+      entry.mtime = st.mtimeMs; // same bytes, new timestamp (copy, git checkout)
+    }
+    entry.used = Date.now();
+    stats.hits++;
+    saveSoon();
+    return true;
+  }
+
+  // Call after writing cache/<key>; evicts older entries if over the cap.
+  async function record(key, sourcePath, params) {
+    const st = fs.statSync(sourcePath);
+    entries[key] = {
+      source: path.relative(photosDir, sourcePath).replace(/\\/g, "/"),
+      mtime: st.mtimeMs,
+      size: st.size,
+      hash: await sourceHash(sourcePath, st),
+      params,
+      bytes: fs.statSync(path.join(cacheDir, key)).size,
+      created: new Date().toISOString(),
+      used: Date.now(),
+    };
+    enforceLimit(new Set([key]));
+    saveSoon();
+  }
+
+  function totalBytes() {
+    return Object.values(entries).reduce((sum, e) => sum + (e.bytes || 0), 0);
+  }
+
+  // Least recently used first, never the entries just written
+  function enforceLimit(keep = new Set()) {
+    if (!maxBytes) return 0;
+    let total = totalBytes();
+    if (total <= maxBytes) return 0;
+    let evicted = 0;
+    const order = Object.entries(entries)
+      .filter(([key]) => !keep.has(key))
+      .sort((a, b) => (a[1].used || 0) - (b[1].used || 0));
+    for (const [key, entry] of order) {
+      if (total <= maxBytes) break;
+      removeFile(key);
+      total -= entry.bytes || 0;
+      evicted++;
+    }
+    stats.evicted += evicted;
+    if (evicted) {
+      log(`🧹 Cache over ${Math.round(maxBytes / 1048576)} MB — evicted ${evicted} least-recently-used file(s)`);
+      saveSoon();
+    }
+    return evicted;
+  }
+
+  // Drop entries whose source photo is gone (or whose cached file vanished).
+  function prune() {
+    let removed = 0;
+    for (const [key, entry] of Object.entries(entries)) {
+      const sourceGone = !fs.existsSync(path.join(photosDir, entry.source));
+      if (sourceGone || !fs.existsSync(path.join(cacheDir, key))) {
+        removeFile(key);
+        removed++;
+      }
+    }
+    stats.pruned += removed;
+    if (removed) {
+      log(`🧹 Pruned ${removed} orphaned cache file(s)`);
+      save();
+    }
+    return removed;
+  }
+
+  function status({ list = false } = {}) {
+    const variants = {};
+    for (const [key, e] of Object.entries(entries)) {
+      const p = e.params || {};
+      const name = key.startsWith("_thumb/") ? "thumb" : `${p.width}x${p.height}${p.format ? " " + p.format : ""}`;
+      variants[name] ??= { files: 0, bytes: 0 };
+      variants[name].files++;
+      variants[name].bytes += e.bytes || 0;
+    }
+    // A loop, not Math.min(...used): spreading a big manifest overflows the call stack
+    let oldest = Infinity;
+    let newest = -Infinity;
+    for (const e of Object.values(entries)) {
+      oldest = Math.min(oldest, e.used || 0);
+      newest = Math.max(newest, e.used || 0);
+    }
+    const files = Object.keys(entries).length;
+    return {
+      files,
+      bytes: totalBytes(),
+      max_bytes: maxBytes || null,
+      sources: new Set(Object.values(entries).map((e) => e.source)).size,
+      oldest_use: files ? new Date(oldest).toISOString() : null,
+      newest_use: files ? new Date(newest).toISOString() : null,
+      variants,
+      since_start: { ...stats },
+      ...(list
+        ? {
+            entries: Object.entries(entries)
+              .map(([key, e]) => ({ key, ...e, used: new Date(e.used || 0).toISOString() }))
+              .sort((a, b) => a.key.localeCompare(b.key)),
+          }
+        : {}),
+    };
+  }
+
+  return { isFresh, record, prune, enforceLimit, status, has: (key) => key in entries, flush: () => saveTimer && save() };
+}
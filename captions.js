@@ -0,0 +1,124 @@
+// ------------------------------------------------------------
+// 💬 Captions – overlay text for slides (config.yaml `caption:`)
+// ------------------------------------------------------------
+// A slide's caption is a template string or a mapping:
+//
+//   caption: "Day {frame} of {frames} — {date}"
+//   caption:
+//     text: "{title} · {name}"
+//     position: bottom-left        # top-left, top, top-right, center,
+//                                  # bottom-left, bottom, bottom-right
+//     font: "Georgia, serif"
+//     size: 4                      # % of the slide (or panel) height
+//     color: white
+//     background: "rgba(0,0,0,.45)"   # or "none"
+//     fade_in: 0.8                 # seconds
+//     fade_out: 0.8
+//   caption: false                 # no overlay, even with a title
+//
+// Without `caption:`, a non-empty `title` is shown using the defaults,
+// which the top-level `captions:` mapping overrides for every slide.
+//
+// Template fields: {title} {id} {file} {name} {folder} {date} {time}
+// {datetime} {year} {frame} {frames}. Dates come from EXIF; the player
+// fills them in (per frame for sequences).
+// ------------------------------------------------------------
+
+export const CAPTION_POSITIONS = ["top-left", "top", "top-right", "center", "bottom-left", "bottom", "bottom-right"];
+export const CAPTION_TOKENS = ["title", "id", "file", "name", "folder", "date", "time", "datetime", "year", "frame", "frames"];
+
+export const CAPTION_DEFAULTS = {
+  position: "bottom-left",
+  font: "system-ui, sans-serif",
+  size: 4,
+  color: "white",
+  background: "rgba(0,0,0,.45)",
+  fade_in: 0.8,
+  fade_out: 0.8,
+};
+
+const isStr = (v) => (typeof v === "string" ? "" : "must be a string");
+const isSeconds = (v) => (typeof v === "number" && v >= 0 ? "" : "must be seconds (0 or more)");
+
+const CAPTION_FIELDS = {
+  text: isStr,
+  position: (v) => (CAPTION_POSITIONS.includes(v) ? "" : `must be one of: ${CAPTION_POSITIONS.join(", ")}`),
+  font: isStr,
+  size: (v) => (typeof v === "number" && v > 0 && v <= 50 ? "" : "must be a number between 0 and 50 (% of height)"),
+  color: isStr,
+  background: isStr,
+  fade_in: isSeconds,
+  fade_out: isSeconds,
+};
+
+function templateError(text) {
+  for (const [, token] of String(text).matchAll(/\{(\w+)\}/g)) {
+    if (!CAPTION_TOKENS.includes(token)) return `unknown template field {${token}} (${CAPTION_TOKENS.join(", ")})`;
+  }
+  return "";
+}
+
+// "" when valid, otherwise the first problem (slide `caption:` or top-level `captions:`).
+export function captionError(caption) {
+  if (caption === false || caption == null) return "";
+  if (typeof caption === "string") return templateError(caption);
+  if (typeof caption !== "object" || Array.isArray(caption)) return "must be a template string, a mapping or false";
+  for (const [key, value] of Object.entries(caption)) {
+    const check = CAPTION_FIELDS[key];
+    if (!check) return `unknown caption field "${key}" (${Object.keys(CAPTION_FIELDS).join(", ")})`;
+    const msg = check(value) || (key === "text" ? templateError(value) : "");
+    if (msg) return `${key} ${msg}`;
+  }
+  return "";
+}
+
+// Effective caption for a slide, or null when nothing should be drawn.
+export function resolveCaption(slide, defaults = {}) {
+  const own = slide?.caption;
+  if (own === false) return null;
+  const base = { ...CAPTION_DEFAULTS, ...(typeof defaults === "object" && defaults ? defaults : {}) };
+  const spec = typeof own === "string" ? { text: own } : own && typeof own === "object" ? own : {};
+  const text = spec.text ?? base.text ?? slide?.title ?? "";
+  if (!text) return null;
+  return { ...base, ...spec, text: String(text) };
+}
+
+// True when the caption needs EXIF capture dates.
+export function needsCaptureDate(caption) {
+  return !!caption && /\{(date|time|datetime|year)\}/.test(caption.text);
+}
+
+// EXIF times are wall-clock ("2025-10-11T08:49:25[+02:00]"); format them as-is.
+function formatTaken(iso, kind) {
+  const m = /^(\d{4})-(\d\d)-(\d\d)T(\d\d):(\d\d)/.exec(iso || "");
+  if (!m) return "";
+  if (kind === "year") return m[1];
+  const d = new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]));
+  const o = { timeZone: "UTC" };
+  if (kind === "time") return d.toLocaleTimeString("en-US", { ...o, hour: "numeric", minute: "2-digit" });
+  const day = { ...o, year: "numeric", month: "short", day: "numeric" };
+  return kind === "date"
+    ? d.toLocaleDateString("en-US", day)
+    : d.toLocaleString("en-US", { ...day, hour: "numeric", minute: "2-digit" });
+}
+
+// Server-side twin of the player's captionText() (used for screenshots).
+export function fillCaption(caption, slide, i = 0) {
+  const f = caption.files?.[i] || slide.file || "";
+  const parts = f.split("/");
+  const base = parts.at(-1);
+  const v = {
+    title: slide.title || "",
+    id: slide.id || "",
+    file: base,
+    name: base.replace(/\.[^.]*$/, ""),
+    folder: parts.length > 1 ? parts.at(-2) : "",
+    frame: String(i + 1),
+    frames: String(caption.files?.length || 1),
+  };
+  return caption.text
+    .replace(/\{(\w+)\}/g, (m, k) =>
+      k in v ? v[k] : /^(date|time|datetime|year)$/.test(k) ? formatTaken(caption.taken?.[i], k) : m
+    )
+    .trim();
+}
@@ -0,0 +1,81 @@
+// ------------------------------------------------------------
+// 🧭 Client identification – one server, many kiosks
+// ------------------------------------------------------------
+// Resolution order for each request:
+//   1. ?client=<id> query parameter
+//   2. X-Kiosk-Client header
+//   3. kiosk_client cookie (set on first identified visit)
+//   4. hosts: mapping in config.yaml (client IP or hostname → id)
+//   5. fallback (CLIENT_ID env var, else "default")
+// ------------------------------------------------------------
+
+export const CLIENT_COOKIE = "kiosk_client";
+export const CLIENT_HEADER = "x-kiosk-client";
+
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 yr
+
+function clean(id) {
+  if (typeof id !== "string") return "";
+  const v = id.trim();
+  // Client ids are config keys such as "pi4office" or "kiosk1.local"
+  return /^[\w.-]{1,64}$/.test(v) ? v : "";
+}
+
+export function parseCookies(header) {
+  const out = {};
+  for (const part of (header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    if (!k) continue;
+    try {
+      out[k] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      out[k] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+function remoteAddresses(req) {
+  const ip = req.ip || req.socket?.remoteAddress || "";
+  const addrs = [ip];
+  // IPv4-mapped IPv6, e.g. ::ffff:192.168.1.20
+  if (ip.startsWith("::ffff:")) addrs.push(ip.slice(7));
+  if (ip === "::1" || ip === "::ffff:127.0.0.1") addrs.push("127.0.0.1", "localhost");
+  return addrs;
+}
+
+function lookupHost(req, hosts) {
+  if (!hosts || typeof hosts !== "object") return "";
+  for (const addr of remoteAddresses(req)) {
+    if (hosts[addr]) return clean(String(hosts[addr]));
+  }
+  return "";
+}
+
+export function resolveClient(req, config, fallback = "default") {
+  const fromQuery = clean(req.query?.client);
+  if (fromQuery) return { id: fromQuery, source: "query" };
+
+  const fromHeader = clean(req.get?.(CLIENT_HEADER));
+  if (fromHeader) return { id: fromHeader, source: "header" };
+
+  const fromCookie = clean(parseCookies(req.headers?.cookie)[CLIENT_COOKIE]);
+  if (fromCookie) return { id: fromCookie, source: "cookie" };
+
+  const fromHost = lookupHost(req, config?.hosts);
+  if (fromHost) return { id: fromHost, source: "host" };
+
+  return { id: clean(fallback) || "default", source: "fallback" };
+}
+
+// Remember explicitly named clients so later visits without ?client= still match.
+export function rememberClient(res, client) {
+  if (client.source !== "query" && client.source !== "header") return;
+  res.cookie(CLIENT_COOKIE, client.id, {
+    maxAge: COOKIE_MAX_AGE,
+    httpOnly: false,
+    sameSite: "lax",
+  });
+}
@@ -0,0 +1,129 @@
+// ------------------------------------------------------------
+// 💓 Client registry – heartbeats from every kiosk
+// ------------------------------------------------------------
+// Players POST /api/heartbeat every HEARTBEAT_SECONDS with what they are
+// showing. The registry keeps the latest beat per client id (persisted to
+// cache/clients.json so last-seen survives a server restart).
+//
+// Only ids that isKnown() accepts (configured kiosks) are persisted. Anyone
+// can pick a ?client= id, so unknown ones live in memory only: at most
+// MAX_UNKNOWN of them, each forgotten UNKNOWN_TTL_MS after its last beat.
+// ------------------------------------------------------------
+import fs from "fs";
+
+export const HEARTBEAT_SECONDS = 30;
+// Missing this many beats in a row marks a kiosk as down
+const MISSED_BEATS = 3;
+const MAX_ERRORS = 20;
+const MAX_UNKNOWN = 20;
+const UNKNOWN_TTL_MS = 15 * 60 * 1000;
+
+const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
+const str = (v, max = 200) => (v == null ? null : String(v).slice(0, max));
+
+// Keep only the fields the dashboard uses, bounded in size.
+function cleanBeat(body = {}) {
+  return {
+    slide: str(body.slide, 64),
+    slide_type: str(body.slide_type, 16),
+    index: num(body.index),
+    slides: num(body.slides),
+    frame: num(body.frame),
+    file: str(body.file, 300),
+    uptime: num(body.uptime),
+    offline: !!body.offline,
+    dim: !!body.dim,
+    paused: !!body.paused,
+    override: str(body.override, 200),
+    screen: body.screen
+      ? { w: num(body.screen.w), h: num(body.screen.h), dpr: num(body.screen.dpr) }
+      : null,
+    sync: body.sync
+      ? { group: str(body.sync.group, 64), offset_ms: num(body.sync.offset_ms), rtt_ms: num(body.sync.rtt_ms) }
+      : null,
+    errors: Array.isArray(body.errors)
+      ? body.errors.slice(-MAX_ERRORS).map((e) => ({ at: str(e?.at, 40), message: str(e?.message, 300) }))
+      : [],
+  };
+}
+
+export function createClientRegistry({ file, log, isKnown = () => true }) {
+  let clients = {};
+  try {
+    clients = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    clients = {};
+  }
+  for (const id of Object.keys(clients)) if (!isKnown(id)) delete clients[id];
+  const unknown = new Map(); // id → entry, oldest beat first
+
+  function pruneUnknown(now = Date.now()) {
+    for (const [id, c] of unknown) {
+      if (unknown.size <= MAX_UNKNOWN && now - Date.parse(c.last_seen) < UNKNOWN_TTL_MS) break;
+      unknown.delete(id);
+    }
+  }
+
+  let saveTimer = null;
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        fs.writeFileSync(file, JSON.stringify(clients, null, 1));
+      } catch (err) {
+        console.error("⚠️ Could not save client registry:", err.message);
+      }
+    }, 5000);
+    saveTimer.unref?.();
+  }
+
+  function beat(id, body, { ip, userAgent } = {}) {
+    const configured = isKnown(id);
+    const known = configured ? clients[id] : unknown.get(id);
+    const entry = {
+      ...cleanBeat(body),
+      id,
+      ip: str(ip, 64),
+      user_agent: str(userAgent, 300),
+      first_seen: known?.first_seen || new Date().toISOString(),
+      last_seen: new Date().toISOString(),
+    };
+    if (!known) log(`💓 New ${configured ? "kiosk" : "unconfigured client"} ${id} (${entry.ip})`);
+    else if (Date.now() - Date.parse(known.last_seen) > MISSED_BEATS * HEARTBEAT_SECONDS * 1000)
+      log(`💓 Kiosk ${id} is back`);
+    if (!configured) {
+      unknown.delete(id); // re-insert so the map stays ordered by last beat
+      unknown.set(id, entry);
+      pruneUnknown();
+      return entry;
+    }
+    clients[id] = entry;
+    saveSoon();
+    return entry;
+  }
+
+  function get(id) {
+    return clients[id] || unknown.get(id) || null;
+  }
+
+  // Registry view: every kiosk that has ever checked in plus configured ones that never did.
+  function list({ configured = [], connected = [], now = Date.now() } = {}) {
+    pruneUnknown(now);
+    const ids = new Set([...Object.keys(clients), ...unknown.keys(), ...configured]);
+    return [...ids].sort().map((id) => {
+      const c = get(id);
+      const age = c ? Math.round((now - Date.parse(c.last_seen)) / 1000) : null;
+      return {
+        id,
+        configured: configured.includes(id),
+        connected: connected.includes(id),
+        status: !c ? "never" : age > MISSED_BEATS * HEARTBEAT_SECONDS ? "down" : c.offline ? "offline" : "ok",
+        seconds_since_seen: age,
+        ...(c || {}),
+      };
+    });
+  }
+
+  return { beat, get, list };
+}
@@ -0,0 +1,568 @@
+// ------------------------------------------------------------
+// 📐 config.yaml schema – slide types, playlists and lint checks
+// ------------------------------------------------------------
+// checkConfig() returns a list of issues rather than throwing, so the
+// same rules drive both the lint CLI (scripts/lintconfig.js) and the
+// reload guard in configstore.js (errors reject, warnings are logged).
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { globSync } from "glob";
+import { scheduleError } from "./schedule.js";
+import { captionError } from "./captions.js";
+import { isVideoFile, VIDEO_EXTS } from "./videoprobe.js";
+import { PROVIDERS, SEVERITIES, UNITS } from "./weatherproviders.js";
+import { WEATHER_LAYOUTS, ALERT_MODES } from "./weatherslides.js";
+import { FEED_FORMATS, FEED_ORDERS, FEED_TEMPLATES, feedSourceError } from "./feeds.js";
+import { fileError, patternError } from "./safepath.js";
+import { ALBUM_SELECTS, ALBUM_ORDERS, albumPattern } from "./albums.js";
+import { TIMELAPSE_FORMATS } from "./timelapse.js";
+import { groupError, regionError, HOLD_SECONDS } from "./syncwall.js";
+
+export const SLIDE_TYPES = ["still", "sequence", "pause", "html", "youtube", "mux", "video", "weather", "feed", "album"];
+export const STILL_EFFECTS = ["fade", "cut", "none", "kenburns-zoom-in", "kenburns-zoom-out", "kenburns"];
+export const SEQUENCE_EFFECTS = ["animate-smooth", "fade", "cut", "none"];
+// Into a slide, from whatever was on screen (player: runTransition)
+export const TRANSITIONS = [
+  "crossfade", "cut", "dissolve", "zoom",
+  "slide-left", "slide-right", "slide-up", "slide-down",
+  "wipe-left", "wipe-right", "wipe-up", "wipe-down",
+];
+export const LAYOUT_RE = /^[1-9]\d*x[1-9]\d*$/;
+export const SPAN_RE = LAYOUT_RE; // panel span, rows x cols
+
+// Named grid areas ("main main side", ...): equal-width rows, each name a rectangle.
+export function areasError(areas) {
+  if (!Array.isArray(areas) || !areas.length || !areas.every((r) => typeof r === "string" && r.trim()))
+    return 'must be a list of rows such as "main main side"';
+  const grid = areas.map((r) => r.trim().split(/\s+/));
+  if (grid.some((r) => r.length !== grid[0].length)) return "rows must all have the same number of cells";
+  const names = new Set(grid.flat().filter((n) => n !== "."));
+  for (const name of names) {
+    const rows = grid.map((r, i) => (r.includes(name) ? i : -1)).filter((i) => i >= 0);
+    const cols = grid.flatMap((r) => r.map((n, j) => (n === name ? j : -1))).filter((j) => j >= 0);
+    const [r0, r1, c0, c1] = [Math.min(...rows), Math.max(...rows), Math.min(...cols), Math.max(...cols)];
+    for (let i = r0; i <= r1; i++)
+      for (let j = c0; j <= c1; j++) if (grid[i][j] !== name) return `area "${name}" is not a rectangle`;
+  }
+  return "";
+}
+
+export function areaNames(areas) {
+  return Array.isArray(areas) ? [...new Set(areas.join(" ").split(/\s+/).filter((n) => n && n !== "."))] : [];
+}
+
+// --- Field checkers: return an error string or "" ---
+const isStr = (v) => (typeof v === "string" ? "" : "must be a string");
+const isOptStr = (v) => (v == null || typeof v === "string" ? "" : "must be a string");
+const isBool = (v) => (typeof v === "boolean" ? "" : "must be true or false");
+const isPosNum = (v) => (typeof v === "number" && v > 0 ? "" : "must be a positive number");
+const isPosInt = (v) => (Number.isInteger(v) && v > 0 ? "" : "must be a positive integer");
+const isSeconds = (v) => (typeof v === "number" && v >= 0 ? "" : "must be seconds (0 or more)");
+const isDuration = (v) =>
+  v === "infinite" || (typeof v === "number" && v >= 0) ? "" : 'must be seconds or "infinite"';
+const oneOf = (list) => (v) => (list.includes(v) ? "" : `must be one of: ${list.join(", ")}`);
+
+// kenburns: { from: { x, y, zoom }, to: { x, y, zoom }, easing } — x/y: focal point in % of the photo
+const isPercent = (v) => typeof v === "number" && v >= 0 && v <= 100;
+function kenburnsError(kb) {
+  if (!kb || typeof kb !== "object" || Array.isArray(kb)) return "must be a mapping with from: and to:";
+  for (const end of ["from", "to"]) {
+    const p = kb[end];
+    if (!p || typeof p !== "object") return `needs ${end}: { x, y, zoom }`;
+    if (p.x != null && !isPercent(p.x)) return `${end}.x must be 0–100 (% across the photo)`;
+    if (p.y != null && !isPercent(p.y)) return `${end}.y must be 0–100 (% down the photo)`;
+    if (p.zoom != null && !(typeof p.zoom === "number" && p.zoom >= 1)) return `${end}.zoom must be 1 or more`;
+  }
+  return kb.easing == null || typeof kb.easing === "string" ? "" : "easing must be a CSS easing";
+}
+
+const isIdList = (v) =>
+  Array.isArray(v) && v.every((x) => typeof x === "string") ? "" : "must be a list of slide ids";
+
+const COMMON_FIELDS = {
+  id: isStr,
+  type: oneOf(SLIDE_TYPES),
+  title: isOptStr,
+  caption: captionError,
+  duration: isDuration,
+  schedule: scheduleError,
+  transition: oneOf(TRANSITIONS),
+  transition_duration: isSeconds,
+};
+
+export const SLIDE_SCHEMA = {
+  still: {
+    required: ["file"],
+    fields: {
+      file: (v) => isStr(v) || (v.includes("*") ? "must not contain * (use a sequence)" : fileError(v)),
+      effect: oneOf(STILL_EFFECTS),
+      kenburns: kenburnsError,
+      fps: isPosNum,
+      repeat: isPosInt,
+      wall: isBool, // split across the screens' regions
+    },
+  },
+  sequence: {
+    required: ["file"],
+    fields: {
+      file: (v) => isStr(v) || (v.includes("*") ? patternError(v) : "must be a glob pattern such as dir/*.JPG"),
+      effect: oneOf(SEQUENCE_EFFECTS),
+      fps: isPosNum,
+      repeat: isPosInt,
+      timelapse: (v) => (typeof v === "boolean" ? "" : oneOf(TIMELAPSE_FORMATS)(v)),
+      crossfade: isSeconds,
+    },
+  },
+  pause: {
+    required: [],
+    fields: {
+      file: (v) => (v == null || v === "" ? "" : "must be empty for a pause"),
+      effect: oneOf(["none"]),
+    },
+  },
+  html: {
+    required: ["url"],
+    fields: { url: isStr },
+  },
+  youtube: {
+    required: ["video_id"],
+    fields: {
+      video_id: (v) => isStr(v) || (/^[\w-]{6,20}$/.test(v) ? "" : "is not a YouTube video id"),
+    },
+  },
+  video: {
+    required: ["file"],
+    fields: {
+      file: (v) => isStr(v) || fileError(v) || (isVideoFile(v) ? "" : `must be a video file (${VIDEO_EXTS.join(", ")})`),
+      start: isSeconds,
+      end: isPosNum,
+      mute: isBool,
+      loop: (v) => (typeof v === "boolean" || (Number.isInteger(v) && v > 0) ? "" : "must be true/false or a play count"),
+      volume: (v) => (typeof v === "number" && v >= 0 && v <= 1 ? "" : "must be between 0 and 1"),
+      fit: oneOf(["contain", "cover"]),
+    },
+  },
+  mux: {
+    required: ["panels"], // plus layout or areas, checked below
+    fields: {
+      layout: (v) => isStr(v) || (LAYOUT_RE.test(v) ? "" : 'must look like "2x2" (rows x cols)'),
+      areas: areasError,
+      panels: (v) => (Array.isArray(v) && v.length ? "" : "must be a non-empty list"),
+      panel_duration: isDuration,
+      sync: isBool,
+      hide_panel_titles: isBool,
+    },
+  },
+  weather: {
+    required: [], // city, zip or lat+lon, checked below
+    fields: {
+      city: isStr,
+      zip: (v) => (/^\d{5}$/.test(String(v)) ? "" : "must be a 5-digit ZIP code"),
+      lat: (v) => (typeof v === "number" && Math.abs(v) <= 90 ? "" : "must be a latitude (-90 to 90)"),
+      lon: (v) => (typeof v === "number" && Math.abs(v) <= 180 ? "" : "must be a longitude (-180 to 180)"),
+      units: oneOf(UNITS),
+      layout: oneOf(WEATHER_LAYOUTS),
+      provider: oneOf(PROVIDERS),
+      alerts: isBool,
+      on_alert: oneOf(ALERT_MODES),
+      alert_severity: oneOf(SEVERITIES.slice(1)),
+    },
+  },
+  feed: {
+    required: ["url"],
+    fields: {
+      url: feedSourceError,
+      format: oneOf(FEED_FORMATS),
+      template: (v) => isStr(v) || (/^[\w-]+$/.test(v) ? "" : "must be a template name (letters, digits, - and _)"),
+      items: isStr,
+      fields: (v) =>
+        v && typeof v === "object" && !Array.isArray(v) && Object.values(v).every((p) => typeof p === "string")
+          ? ""
+          : "must map item fields to paths (e.g. { value: primary })",
+      order: oneOf(FEED_ORDERS),
+      unit: isStr,
+      limit: isPosInt,
+      days: isPosNum,
+      refresh: isPosNum,
+    },
+  },
+  album: {
+    required: [], // folder or file, checked below
+    fields: {
+      folder: (v) => isStr(v) || fileError(v) || (/[*?[\]]/.test(v) ? "must be a folder (use file: for a glob)" : ""),
+      file: (v) => isStr(v) || patternError(v),
+      select: oneOf(ALBUM_SELECTS),
+      count: isPosInt,
+      days: isPosNum,
+      order: oneOf(ALBUM_ORDERS),
+      effect: oneOf(STILL_EFFECTS),
+      kenburns: kenburnsError,
+    },
+  },
+};
+
+export const PANEL_FIELDS = {
+  slides: isIdList,
+  panel_duration: isDuration,
+  area: isStr,
+  span: (v) => isStr(v) || (SPAN_RE.test(v) ? "" : 'must look like "2x1" (rows x cols)'),
+  align: isStr,
+  scale: isPosNum,
+  hide_caption: isBool,
+};
+
+export const CLIENT_FIELDS = {
+  include: isIdList,
+  schedule: scheduleError,
+  outside: oneOf(["blank", "dim"]),
+  transition: oneOf(TRANSITIONS), // for slides without their own
+  transition_duration: isSeconds,
+  sync: groupError,
+  region: regionError,
+};
+
+const TOP_LEVEL = ["slides", "default", "clients", "hosts", "timezone", "holidays", "captions"];
+
+// Infer a slide's type when config.yaml leaves `type:` out.
+export function slideType(slide) {
+  if (slide?.type) return String(slide.type).toLowerCase();
+  if (typeof slide?.file === "string" && slide.file) {
+    if (slide.file.includes("*")) return "sequence";
+    return isVideoFile(slide.file) ? "video" : "still";
+  }
+  return "pause";
+}
+
+// ------------------------------------------------------------
+// 🔢 Line lookup (js-yaml exposes no node positions)
+// ------------------------------------------------------------
+function createLineIndex(text) {
+  const lines = (text || "").split(/\r?\n/);
+  const indentOf = (l) => l.match(/^\s*/)[0].length;
+  const keyRe = (key) =>
+    new RegExp(`^\\s*(?:-\\s+)?["']?${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}["']?\\s*:`);
+
+  const topLine = (key) => lines.findIndex((l) => keyRe(key).test(l) && indentOf(l) === 0);
+
+  // Slide entries are "- id: ..." lines under slides:, in order.
+  const slideStarts = [];
+  const slidesAt = topLine("slides");
+  if (slidesAt >= 0) {
+    for (let i = slidesAt + 1; i < lines.length; i++) {
+      const l = lines[i];
+      if (/^\S/.test(l) && !l.startsWith("#")) break;
+      if (/^\s*-\s+/.test(l) && !/^\s*#/.test(l) && indentOf(l) <= 2) slideStarts.push(i);
+    }
+  }
+
+  // Search for `key:` between [from, to)
+  const find = (key, from, to = lines.length) => {
+    for (let i = Math.max(from, 0); i < to; i++) if (keyRe(key).test(lines[i])) return i;
+    return -1;
+  };
+
+  const blockEnd = (start) => {
+    const base = indentOf(lines[start] || "");
+    for (let i = start + 1; i < lines.length; i++) {
+      const l = lines[i];
+      if (!l.trim() || /^\s*#/.test(l)) continue;
+      if (indentOf(l) <= base) return i;
+    }
+    return lines.length;
+  };
+
+  const line = (n) => (n >= 0 ? n + 1 : undefined);
+
+  return {
+    top: (key) => line(topLine(key)),
+    slide: (i, field) => {
+      const start = slideStarts[i];
+      if (start == null) return undefined;
+      if (!field) return line(start);
+      const hit = find(field, start, slideStarts[i + 1] ?? lines.length);
+      return line(hit >= 0 ? hit : start);
+    },
+    panel: (i, p) => {
+      const start = slideStarts[i];
+      if (start == null) return undefined;
+      const end = slideStarts[i + 1] ?? lines.length;
+      const panelsAt = find("panels", start, end);
+      if (panelsAt < 0) return line(start);
+      let n = -1;
+      for (let k = panelsAt + 1; k < end; k++) {
+        if (/^\s*-\s+/.test(lines[k]) && !/^\s*#/.test(lines[k]) && ++n === p) return line(k);
+      }
+      return line(panelsAt);
+    },
+    section: (top, name, field) => {
+      const at = topLine(top);
+      if (at < 0) return undefined;
+      const end = blockEnd(at);
+      const own = name ? find(name, at + 1, end) : at;
+      if (own < 0) return line(at);
+      if (!field) return line(own);
+      const hit = find(field, own + (name ? 1 : 0), name ? blockEnd(own) : end);
+      return line(hit >= 0 ? hit : own);
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// 🔎 checkConfig(cfg, { text, photosDir }) → [{ level, where, line, message }]
+// ------------------------------------------------------------
+export function checkConfig(cfg, { text = "", photosDir } = {}) {
+  const issues = [];
+  const at = createLineIndex(text);
+  const error = (where, line, message) => issues.push({ level: "error", where, line, message });
+  const warn = (where, line, message) => issues.push({ level: "warning", where, line, message });
+
+  if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) {
+    error("config", 1, "must be a YAML mapping");
+    return issues;
+  }
+
+  for (const key of Object.keys(cfg)) {
+    if (!TOP_LEVEL.includes(key)) warn(key, at.top(key), "unknown top-level key");
+  }
+
+  // --- slides ---
+  const slides = cfg.slides ?? [];
+  if (!Array.isArray(slides)) {
+    error("slides", at.top("slides"), "must be a list");
+    return issues;
+  }
+
+  const byId = new Map();
+  slides.forEach((s, i) => {
+    const where = `slides[${i}]`;
+    if (!s || typeof s !== "object" || Array.isArray(s)) {
+      error(where, at.slide(i), "must be a mapping");
+      return;
+    }
+    if (!s.id) {
+      error(where, at.slide(i), "is missing an id");
+      return;
+    }
+    const label = `slides[${i}] (${s.id})`;
+    if (byId.has(String(s.id))) error(label, at.slide(i, "id"), `duplicate id "${s.id}"`);
+    byId.set(String(s.id), { slide: s, index: i });
+
+    const type = slideType(s);
+    const schema = SLIDE_SCHEMA[type];
+    if (type === "video" && typeof s.end === "number" && s.end <= (s.start || 0))
+      error(`${label}.end`, at.slide(i, "end"), "must be after start");
+    if (!schema) {
+      error(`${label}.type`, at.slide(i, "type"), COMMON_FIELDS.type(type));
+      return;
+    }
+    for (const req of schema.required) {
+      if (s[req] == null || s[req] === "") error(label, at.slide(i), `${type} slide needs "${req}"`);
+    }
+    for (const [key, value] of Object.entries(s)) {
+      const check = COMMON_FIELDS[key] || schema.fields[key];
+      if (!check) {
+        warn(`${label}.${key}`, at.slide(i, key), `unknown field for a ${type} slide`);
+        continue;
+      }
+      if (value == null && key !== "title" && key !== "file") continue;
+      const msg = check(value);
+      if (msg) error(`${label}.${key}`, at.slide(i, key), msg);
+    }
+
+    if (type === "mux" && s.layout == null && s.areas == null)
+      error(label, at.slide(i), 'mux slide needs "layout" (e.g. 2x2) or "areas"');
+
+    if (type === "weather" && s.city == null && s.zip == null && (s.lat == null || s.lon == null))
+      error(label, at.slide(i), 'weather slide needs "city", "zip" or "lat" and "lon"');
+
+    if (type === "album" && !s.folder === !s.file)
+      error(label, at.slide(i), 'album slide needs either "folder" or "file" (a glob)');
+    if (type === "album" && s.order != null && s.select === "shuffle")
+      warn(`${label}.order`, at.slide(i, "order"), "ignored when select is shuffle");
+    if (type === "sequence" && s.crossfade > 1 / (s.fps || 10))
+      warn(`${label}.crossfade`, at.slide(i, "crossfade"), `longer than one frame; rendered as ${+(1 / (s.fps || 10)).toFixed(3)}s`);
+    if (type === "sequence" && s.crossfade && s.timelapse === false)
+      warn(`${label}.crossfade`, at.slide(i, "crossfade"), "only applies to time-lapse renders");
+
+    if ((type === "still" || type === "album") && s.effect === "kenburns" && s.kenburns == null)
+      error(`${label}.effect`, at.slide(i, "effect"), "kenburns effect needs a kenburns: { from, to } mapping");
+    else if ((type === "still" || type === "album") && s.kenburns != null && s.effect !== "kenburns")
+      warn(`${label}.kenburns`, at.slide(i, "kenburns"), 'ignored unless effect is "kenburns"');
+
+    if (type === "feed" && typeof s.template === "string" && !FEED_TEMPLATES.includes(s.template))
+      warn(`${label}.template`, at.slide(i, "template"), `not a bundled template (${FEED_TEMPLATES.join(", ")}); expects public/pages/templates/${s.template}.html`);
+
+    if (type === "mux" && Array.isArray(s.panels)) {
+      const names = areaNames(s.areas);
+      let cells = 0;
+      s.panels.forEach((panel, p) => {
+        const pw = `${label}.panels[${p}]`;
+        if (!panel || typeof panel !== "object") return error(pw, at.panel(i, p), "must be a mapping");
+        for (const [key, value] of Object.entries(panel)) {
+          const check = PANEL_FIELDS[key];
+          if (!check) warn(`${pw}.${key}`, at.panel(i, p), "unknown panel field");
+          else if (value != null && check(value)) error(`${pw}.${key}`, at.panel(i, p), check(value));
+        }
+        if (panel.area != null && !s.areas) error(`${pw}.area`, at.panel(i, p), "area needs an areas: grid on the mux");
+        else if (panel.area != null && !names.includes(panel.area))
+          error(`${pw}.area`, at.panel(i, p), `unknown area "${panel.area}" (${names.join(", ")})`);
+        const [rs, cs] = SPAN_RE.test(panel.span || "") ? panel.span.split("x").map(Number) : [1, 1];
+        cells += rs * cs;
+      });
+      if (!s.areas && LAYOUT_RE.test(String(s.layout))) {
+        const [rows, cols] = String(s.layout).split("x").map(Number);
+        if (rows * cols < cells)
+          warn(`${label}.layout`, at.slide(i, "layout"), `${s.layout} grid has fewer cells than its ${s.panels.length} panels need`);
+        for (const [p, panel] of s.panels.entries()) {
+          const [rs, cs] = SPAN_RE.test(panel?.span || "") ? panel.span.split("x").map(Number) : [1, 1];
+          if (rs > rows || cs > cols) error(`${label}.panels[${p}].span`, at.panel(i, p), `span ${panel.span} exceeds the ${s.layout} grid`);
+        }
+      }
+    }
+
+    // --- files on disk ---
+    if (photosDir && ["still", "sequence", "video"].includes(type) && typeof s.file === "string" && s.file) {
+      if (type === "still" && !fs.existsSync(path.join(photosDir, s.file)))
+        warn(`${label}.file`, at.slide(i, "file"), `photo not found: ${s.file}`);
+      if (type === "video" && !fs.existsSync(path.join(photosDir, s.file)))
+        warn(`${label}.file`, at.slide(i, "file"), `video not found: ${s.file}`);
+      if (type === "sequence" && !patternError(s.file) && !globSync(s.file, { cwd: photosDir, nodir: true }).length)
+        warn(`${label}.file`, at.slide(i, "file"), `no frames match: ${s.file}`);
+    }
+    if (photosDir && type === "album" && !patternError(albumPattern(s)) && !globSync(albumPattern(s), { cwd: photosDir, nodir: true }).length)
+      warn(`${label}.${s.file ? "file" : "folder"}`, at.slide(i, s.file ? "file" : "folder"), `no photos yet in ${albumPattern(s)}`);
+  });
+
+  // --- mux panel references and cycles ---
+  const childIds = (s) => (s.panels || []).flatMap((p) => (Array.isArray(p?.slides) ? p.slides : []));
+  for (const [id, { slide, index }] of byId) {
+    if (slideType(slide) !== "mux") continue;
+    (slide.panels || []).forEach((panel, p) => {
+      for (const ref of Array.isArray(panel?.slides) ? panel.slides : []) {
+        if (!byId.has(ref))
+          error(`slides[${index}] (${id}).panels[${p}]`, at.panel(index, p), `unknown slide id "${ref}"`);
+      }
+    });
+  }
+  const state = new Map(); // id → "visiting" | "done"
+  const visit = (id, trail) => {
+    if (state.get(id) === "done") return;
+    if (state.get(id) === "visiting") {
+      const cycle = [...trail.slice(trail.indexOf(id)), id].join(" → ");
+      error(`slides[${byId.get(id).index}] (${id})`, at.slide(byId.get(id).index), `mux cycle: ${cycle}`);
+      return;
+    }
+    state.set(id, "visiting");
+    for (const child of childIds(byId.get(id).slide)) {
+      if (byId.has(child) && slideType(byId.get(child).slide) === "mux") visit(child, [...trail, id]);
+    }
+    state.set(id, "done");
+  };
+  for (const [id, { slide }] of byId) if (slideType(slide) === "mux") visit(id, []);
+
+  // --- default / clients ---
+  const checkPlaylist = (entry, where, line, fieldLine) => {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry))
+      return error(where, line(), "must be a mapping");
+    for (const [key, value] of Object.entries(entry)) {
+      const check = CLIENT_FIELDS[key];
+      if (!check) {
+        warn(`${where}.${key}`, fieldLine(key), "unknown field");
+        continue;
+      }
+      const msg = value == null ? "" : check(value);
+      if (msg) error(`${where}.${key}`, fieldLine(key), msg);
+    }
+    for (const ref of Array.isArray(entry.include) ? entry.include : []) {
+      if (typeof ref === "string" && !byId.has(ref))
+        error(`${where}.include`, fieldLine("include"), `unknown slide id "${ref}"`);
+    }
+  };
+
+  if (cfg.default != null)
+    checkPlaylist(cfg.default, "default", () => at.top("default"), (f) => at.section("default", null, f));
+
+  const clients = cfg.clients ?? {};
+  if (typeof clients !== "object" || Array.isArray(clients)) {
+    error("clients", at.top("clients"), "must be a mapping");
+  } else {
+    for (const [name, entry] of Object.entries(clients)) {
+      // An empty client block (all lines commented out) falls back to default.
+      if (entry == null) continue;
+      checkPlaylist(
+        entry,
+        `clients.${name}`,
+        () => at.section("clients", name),
+        (f) => at.section("clients", name, f)
+      );
+    }
+  }
+
+  // --- sync groups (syncwall.js) ---
+  const members = new Map(); // group → client names
+  for (const [name, entry] of Object.entries(!clients || Array.isArray(clients) ? {} : clients)) {
+    if (typeof entry?.sync === "string") members.set(entry.sync, [...(members.get(entry.sync) || []), name]);
+    if (entry?.region != null && entry.sync == null)
+      warn(`clients.${name}.region`, at.section("clients", name, "region"), "without sync: the wall's screens drift apart");
+  }
+  for (const [group, names] of members) {
+    const [first] = names;
+    const line = (n) => at.section("clients", n, "sync");
+    if (names.length === 1) warn(`clients.${first}.sync`, line(first), `only screen in sync group "${group}"`);
+    const include = (n) => clients[n].include ?? cfg.default?.include ?? null;
+    for (const n of names.slice(1)) {
+      if (JSON.stringify(include(n)) !== JSON.stringify(include(first)))
+        warn(`clients.${n}.sync`, line(n), `playlist differs from ${first}'s; screens only line up while slide durations match`);
+    }
+    const ids = new Set(names.flatMap((n) => include(n) || [...byId.keys()]));
+    for (const id of ids) {
+      const s = byId.get(id)?.slide;
+      if (!s) continue;
+      const type = slideType(s);
+      const endless = s.duration === "infinite" || (type === "mux" && !(s.duration > 0)) || (type === "video" && s.loop === true && s.duration == null);
+      if (endless) warn(`clients.${first}.sync`, line(first), `slide "${id}" has no fixed duration; group "${group}" shows it for ${HOLD_SECONDS}s`);
+      if (type === "album" && ["random", "shuffle"].includes(s.select))
+        warn(`clients.${first}.sync`, line(first), `album "${id}" (select: ${s.select}) picks photos per screen; group "${group}" shows different ones`);
+    }
+  }
+
+  // --- timezone / holidays ---
+  if (cfg.timezone != null) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: String(cfg.timezone) });
+    } catch {
+      error("timezone", at.top("timezone"), `unknown IANA timezone "${cfg.timezone}"`);
+    }
+  }
+  if (cfg.holidays != null) {
+    const msg = scheduleError({ except: cfg.holidays });
+    if (msg) error("holidays", at.top("holidays"), msg.replace(/^except: /, ""));
+  }
+
+  // --- caption defaults ---
+  if (cfg.captions != null) {
+    const msg = typeof cfg.captions === "object" && !Array.isArray(cfg.captions) ? captionError(cfg.captions) : "must be a mapping";
+    if (msg) error("captions", at.top("captions"), msg);
+  }
+
+  // --- hosts ---
+  if (cfg.hosts != null) {
+    if (typeof cfg.hosts !== "object" || Array.isArray(cfg.hosts)) {
+      error("hosts", at.top("hosts"), "must be a mapping of IP/hostname → client id");
+    } else {
+      for (const [addr, id] of Object.entries(cfg.hosts)) {
+        if (!clients?.[id] && id !== "default")
+          warn(`hosts.${addr}`, at.section("hosts", addr), `client "${id}" is not defined under clients:`);
+      }
+    }
+  }
+
+  return issues;
+}
+
+export function formatIssue(issue, file = "config.yaml") {
+  const loc = issue.line ? `${file}:${issue.line}` : file;
+  const icon = issue.level === "error" ? "❌" : "⚠️";
+  return `${icon} ${loc}  ${issue.where}: ${issue.message}`;
+}
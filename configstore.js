@@ -0,0 +1,113 @@
+// ------------------------------------------------------------
+// ⚙️ Config store – load, validate and hot-reload config.yaml
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { checkConfig, formatIssue } from "./configschema.js";
+
+const DEFAULT_CONFIG = { default: { include: ["*.JPG", "*.jpg", "*.png"] }, clients: {} };
+const POLL_MS = 2000; // fs.watchFile survives editors that replace the file and docker bind mounts
+
+// Throw when the schema reports errors; returns the normalized config.
+export function validateConfig(cfg, { text, photosDir, onWarning } = {}) {
+  const issues = checkConfig(cfg, { text, photosDir });
+  const errors = issues.filter((i) => i.level === "error");
+  if (errors.length) {
+    const err = new Error(
+      `${errors.length} error(s) — ${errors.map((e) => formatIssue(e).replace(/^\S+ /, "")).join("; ")}`
+    );
+    err.issues = issues;
+    throw err;
+  }
+  for (const w of issues) onWarning?.(w);
+  if (!cfg.default) cfg.default = { ...DEFAULT_CONFIG.default };
+  if (!cfg.clients) cfg.clients = {};
+  return cfg;
+}
+
+// lastGoodPath: copy of the last config that passed validation, used when
+// the server starts with a broken config.yaml. Without one, startup refuses.
+export function createConfigStore(configPath, log, { photosDir, lastGoodPath } = {}) {
+  let current = null;
+  let lastText = null;
+  const listeners = [];
+
+  function parse(text) {
+    return validateConfig(yaml.load(text), {
+      text,
+      photosDir,
+      onWarning: (w) => log(formatIssue(w)),
+    });
+  }
+
+  // Returns true when a new config was swapped in.
+  function reload() {
+    let text;
+    try {
+      text = fs.readFileSync(configPath, "utf8");
+    } catch (err) {
+      if (!current) {
+        console.warn("⚠️ Could not load config.yaml — using defaults:", err.message);
+        current = structuredClone(DEFAULT_CONFIG);
+      } else log(`⚠️ Could not read ${configPath}: ${err.message} — keeping last good config`);
+      return false;
+    }
+    if (text === lastText) return false;
+
+    try {
+      const next = parse(text);
+      const first = !current;
+      current = next;
+      lastText = text;
+      log(`✅ ${first ? "Loaded" : "Reloaded"} config.yaml from ${configPath}`);
+      if (lastGoodPath) {
+        try {
+          fs.mkdirSync(path.dirname(lastGoodPath), { recursive: true });
+          fs.writeFileSync(lastGoodPath, text);
+        } catch (e) {
+          log(`⚠️ Could not save last good config: ${e.message}`);
+        }
+      }
+      if (!first) for (const fn of listeners) fn(current);
+      return true;
+    } catch (err) {
+      lastText = text; // don't re-report the same broken file every poll
+      log(`❌ Rejected config.yaml: ${err.message.split("\n")[0]}`);
+      if (!current) current = loadLastGood(err);
+      else log("↩️ Keeping last good config");
+      return false;
+    }
+  }
+
+  function loadLastGood(cause) {
+    if (lastGoodPath && fs.existsSync(lastGoodPath)) {
+      try {
+        const text = fs.readFileSync(lastGoodPath, "utf8");
+        const cfg = validateConfig(yaml.load(text));
+        console.warn(`⚠️ Invalid config.yaml — falling back to last good copy ${lastGoodPath}`);
+        log(`↩️ Started with last good config from ${lastGoodPath}`);
+        return cfg;
+      } catch (e) {
+        log(`❌ Last good config is unusable too: ${e.message.split("\n")[0]}`);
+      }
+    }
+    for (const issue of cause.issues || []) console.error(formatIssue(issue, configPath));
+    throw new Error(`Refusing to start with invalid ${configPath}: ${cause.message.split("\n")[0]}`);
+  }
+
+  function watch() {
+    fs.watchFile(configPath, { interval: POLL_MS }, (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) reload();
+    });
+  }
+
+  reload();
+
+  return {
+    get: () => current,
+    reload,
+    watch,
+    onChange: (fn) => listeners.push(fn),
+  };
+}
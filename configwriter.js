@@ -0,0 +1,277 @@
+// ------------------------------------------------------------
+// ✍️ Config writer – comment-preserving edits to config.yaml
+// ------------------------------------------------------------
+// Edits are spliced into the original text at node offsets reported by
+// the `yaml` parser, so comments, commented-out playlists, blank lines
+// and quoting outside the touched keys stay byte-for-byte. Every write
+// is validated with the same schema as the reload guard, backed up
+// first, then written (atomic rename where the filesystem allows it).
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import yaml from "js-yaml";
+import { parseDocument, Document, isMap, isSeq, isScalar, visit } from "yaml";
+import { checkConfig } from "./configschema.js";
+
+const MAX_BACKUPS = 20;
+
+function writeError(message, issues = []) {
+  const err = new Error(message);
+  err.issues = issues;
+  return err;
+}
+
+export function createConfigWriter(configPath, { backupDir, photosDir, log }) {
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  function backup(text) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const dest = path.join(backupDir, `${path.basename(configPath)}.${stamp}`);
+    fs.writeFileSync(dest, text);
+    const old = fs
+      .readdirSync(backupDir)
+      .filter((f) => f.startsWith(path.basename(configPath) + "."))
+      .sort();
+    for (const f of old.slice(0, Math.max(0, old.length - MAX_BACKUPS))) {
+      fs.rmSync(path.join(backupDir, f), { force: true });
+    }
+    return dest;
+  }
+
+  function write(text) {
+    const tmp = `${configPath}.tmp-${process.pid}`;
+    fs.writeFileSync(tmp, text);
+    try {
+      fs.renameSync(tmp, configPath);
+    } catch {
+      // Single-file docker bind mounts can't be replaced — overwrite in place
+      fs.rmSync(tmp, { force: true });
+      fs.writeFileSync(configPath, text);
+    }
+  }
+
+  // edit(text) → new text; returns { warnings, backup }.
+  function update(edit, summary = "edit") {
+    const before = fs.readFileSync(configPath, "utf8");
+    const text = edit(before);
+
+    let cfg;
+    try {
+      cfg = yaml.load(text);
+    } catch (err) {
+      throw writeError(`edit produced invalid YAML: ${err.message.split("\n")[0]}`);
+    }
+    const issues = checkConfig(cfg, { text, photosDir });
+    const errors = issues.filter((i) => i.level === "error");
+    if (errors.length) throw writeError(`${errors.length} error(s) — not saved`, issues);
+
+    const saved = backup(before);
+    write(text);
+    log(`✍️ config.yaml updated (${summary}); backup ${path.basename(saved)}`);
+    return { warnings: issues, backup: path.basename(saved) };
+  }
+
+  return { update };
+}
+
+// ------------------------------------------------------------
+// 🧰 Text-splice helpers
+// ------------------------------------------------------------
+function parse(text) {
+  const doc = parseDocument(text);
+  if (doc.errors.length) throw writeError(`config.yaml does not parse: ${doc.errors[0].message}`);
+  return doc;
+}
+
+const lineStart = (text, at) => text.lastIndexOf("\n", at - 1) + 1;
+const lineEnd = (text, at) => {
+  const i = text.indexOf("\n", at);
+  return i < 0 ? text.length : i;
+};
+const column = (text, at) => at - lineStart(text, at);
+const splice = (text, from, to, insert) => text.slice(0, from) + insert + text.slice(to);
+
+// Node ranges run through trailing comments; find where real content stops.
+function contentEnd(text, end) {
+  let at = end;
+  while (at > 0) {
+    const start = lineStart(text, at - 1 < 0 ? 0 : at - 1);
+    const line = text.slice(start, at).trim();
+    if (line && !line.startsWith("#")) return lineEnd(text, start);
+    at = start;
+  }
+  return end;
+}
+
+// Extend past comment lines indented deeper than `indent` right after `at`
+// (e.g. a commented-out "#panel_duration:" under the last mux panel).
+function ownedEnd(text, at, indent) {
+  let end = at;
+  while (end < text.length) {
+    const next = lineEnd(text, end + 1);
+    const line = text.slice(end + 1, next);
+    if (!/^\s*#/.test(line) || line.search(/\S/) <= indent) break;
+    end = next;
+  }
+  return end;
+}
+
+function inlineScalar(v) {
+  if (v == null) return "";
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  const s = String(v);
+  // Words and paths that read back as the same string stay plain (effect: fade, layout: 2x2)
+  let plain = false;
+  try {
+    plain = /^[\w./-]+$/.test(s) && yaml.load(s) === s;
+  } catch {
+    plain = false;
+  }
+  return plain ? s : JSON.stringify(s);
+}
+
+const isScalarList = (v) => Array.isArray(v) && v.every((x) => x === null || typeof x !== "object");
+
+function inlineValue(v) {
+  if (isScalarList(v)) return `[${v.map(inlineScalar).join(", ")}]`;
+  return inlineScalar(v);
+}
+
+// Block YAML for nested values, scalar lists kept in flow style, indented to `indent`.
+function blockYaml(value, indent) {
+  const doc = new Document(value);
+  visit(doc, {
+    Seq(_, node) {
+      if (node.items.every((n) => isScalar(n))) node.flow = true;
+    },
+  });
+  const out = doc.toString({ lineWidth: 0, flowCollectionPadding: false }).replace(/\n$/, "");
+  return out
+    .split("\n")
+    .map((l) => " ".repeat(indent) + l)
+    .join("\n");
+}
+
+function keyLine(key, value, indent) {
+  if (value !== null && typeof value === "object" && !isScalarList(value)) {
+    return `${" ".repeat(indent)}${key}:\n${blockYaml(value, indent + 2)}`;
+  }
+  const v = inlineValue(value);
+  return `${" ".repeat(indent)}${key}:${v === "" ? "" : " " + v}`;
+}
+
+function sameValue(node, value) {
+  const current = node && typeof node.toJSON === "function" ? node.toJSON() : node ?? null;
+  return JSON.stringify(current) === JSON.stringify(value ?? null);
+}
+
+// ------------------------------------------------------------
+// 📝 Edits (text in → text out)
+// ------------------------------------------------------------
+
+// Insert or update one slide; only keys whose values changed are rewritten.
+export function upsertSlide(text, slide) {
+  const doc = parse(text);
+  const seq = doc.get("slides", true);
+  const ordered = { id: slide.id, ...slide };
+
+  if (!isSeq(seq)) {
+    const block = `slides:\n${blockYaml([ordered], 2)}\n`;
+    return text.replace(/\n*$/, "\n\n") + block;
+  }
+
+  const item = seq.items.find((n) => isMap(n) && n.get("id") === slide.id);
+  if (!item) {
+    const indent = column(text, seq.range[0]);
+    const last = seq.items.at(-1);
+    const at = last ? ownedEnd(text, contentEnd(text, last.range[1]), indent) : lineEnd(text, seq.range[0]);
+    return splice(text, at, at, `\n\n${blockYaml([ordered], indent)}`);
+  }
+
+  const edits = [];
+  const pairIndent = column(text, item.items[0].key.range[0]);
+  for (const pair of item.items) {
+    const key = pair.key.value;
+    if (key in slide) continue;
+    const from = lineStart(text, pair.key.range[0]);
+    const to = lineEnd(text, contentEnd(text, (pair.value ?? pair.key).range[1]) - 1) + 1;
+    edits.push([from, to, ""]);
+  }
+  const tail = contentEnd(text, item.range[1]);
+  const added = [];
+  for (const [key, value] of Object.entries(ordered)) {
+    const pair = item.items.find((p) => p.key.value === key);
+    if (!pair) {
+      added.push(keyLine(key, value, pairIndent));
+      continue;
+    }
+    if (sameValue(pair.value, value)) continue;
+    const v = pair.value;
+    const simple = value === null || typeof value !== "object" || isScalarList(value);
+    if (simple && v && (isScalar(v) || v.flow)) {
+      edits.push([v.range[0], v.range[1], inlineValue(value)]);
+    } else {
+      const from = lineStart(text, pair.key.range[0]);
+      const to = v ? contentEnd(text, v.range[1]) : pair.key.range[1];
+      // A "- id:" first pair keeps its dash; only nested keys are rewritten here
+      edits.push([from + pairIndent, to, keyLine(key, value, pairIndent).trimStart()]);
+    }
+  }
+  if (added.length) edits.push([tail, tail, "\n" + added.join("\n")]);
+
+  for (const [from, to, insert] of edits.sort((a, b) => b[0] - a[0])) text = splice(text, from, to, insert);
+  return text;
+}
+
+export function deleteSlide(text, id) {
+  const doc = parse(text);
+  const seq = doc.get("slides", true);
+  const item = isSeq(seq) && seq.items.find((n) => isMap(n) && n.get("id") === id);
+  if (!item) throw writeError(`No slide "${id}"`, []);
+  const from = lineStart(text, item.range[0]);
+  let to = ownedEnd(text, contentEnd(text, item.range[1]), column(text, seq.range[0])) + 1;
+  // Swallow one separating blank line so the library spacing stays even
+  if (text.slice(to).startsWith("\n")) to += 1;
+  return splice(text, from, to, "");
+}
+
+// name === "default" edits the shared default playlist.
+export function setInclude(text, name, include) {
+  const doc = parse(text);
+  const list = inlineValue(include);
+  const top = name === "default" ? "default" : "clients";
+  const section = doc.get(top, true);
+
+  if (!isMap(section)) {
+    const body = name === "default" ? `default:\n  include: ${list}\n` : `clients:\n  ${name}:\n    include: ${list}\n`;
+    return text.replace(/\n*$/, "\n\n") + body;
+  }
+
+  // default: include lives directly in the section; clients: one level down
+  let entryKey = null;
+  let entry = section;
+  if (name !== "default") {
+    const pair = section.items.find((p) => String(p.key.value) === name);
+    if (!pair) {
+      const indent = column(text, section.items[0]?.key.range[0] ?? section.range[0]);
+      const at = ownedEnd(text, contentEnd(text, section.range[1]), indent);
+      return splice(text, at, at, `\n\n${" ".repeat(indent)}${name}:\n${" ".repeat(indent + 2)}include: ${list}`);
+    }
+    entryKey = pair.key;
+    entry = pair.value;
+  }
+
+  const includePair = isMap(entry) && entry.items.find((p) => p.key.value === "include");
+  if (includePair?.value) {
+    const v = includePair.value;
+    if (v.flow || isScalar(v)) return splice(text, v.range[0], v.range[1], list);
+    const from = lineStart(text, includePair.key.range[0]);
+    return splice(text, from, contentEnd(text, v.range[1]), keyLine("include", include, column(text, includePair.key.range[0])));
+  }
+
+  // Entry exists without include: (e.g. only commented lines) — add it under the key
+  const keyAt = entryKey ? entryKey.range[0] : section.range[0];
+  const indent = entryKey ? column(text, keyAt) + 2 : column(text, section.items[0]?.key.range[0] ?? 2);
+  const at = isMap(entry) && entry.items.length ? contentEnd(text, entry.range[1]) : lineEnd(text, entryKey ? keyAt : section.range[0]);
+  return splice(text, at, at, `\n${" ".repeat(indent)}include: ${list}`);
+}
@@ -0,0 +1,124 @@
+// ------------------------------------------------------------
+// 🗄️ Disk cache – upstream answers, stale-while-revalidate, coalesced
+// ------------------------------------------------------------
+// One JSON file per user (cache/weather.json for forecasts, alerts and
+// geocoding, cache/feeds.json for feed sources), keyed by the caller:
+//   data      the answer as served
+//   fetched   epoch ms it came back from upstream
+//   ttl       ms it counts as fresh
+//
+// get(key, ttl, fetcher):
+//   fresh             → cached data (and a background refresh once it is
+//                       REFRESH_AT of the way to expiry)
+//   expired / missing → fetcher(); if upstream fails, the last answer with
+//                       stale: true, as long as it is younger than maxStale
+// Concurrent gets for one key share a single fetcher() call, so a room of
+// kiosks refreshing together costs one upstream request.
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+
+const REFRESH_AT = 0.8;
+const SAVE_DELAY_MS = 5000;
+const DEFAULT_MAX_STALE_MS = 24 * 60 * 60 * 1000;
+
+// label names the cache in log lines
+export function createDiskCache({ file, log, label, maxEntries = 500 }) {
+  const inflight = new Map(); // key → Promise<data>
+  const stats = { hits: 0, misses: 0, refreshes: 0, coalesced: 0, stale: 0, errors: 0 };
+  let entries = {};
+  let saveTimer = null;
+
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8")).entries || {};
+  } catch {
+    entries = {}; // first run, or a corrupt file — everything is refetched
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp-${process.pid}`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries }));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error(`⚠️ Could not save ${label} cache:`, err.message);
+    }
+  }
+
+  function saveSoon() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  // Drop answers too old to serve even as stale, then the oldest beyond maxEntries
+  function evict(now = Date.now()) {
+    for (const [key, e] of Object.entries(entries)) if (now - e.fetched > e.max_stale) delete entries[key];
+    const keys = Object.keys(entries);
+    if (keys.length <= maxEntries) return;
+    keys.sort((a, b) => entries[a].fetched - entries[b].fetched);
+    for (const key of keys.slice(0, keys.length - maxEntries)) delete entries[key];
+  }
+  evict();
+
+  // One upstream call per key at a time; later callers join the pending one
+  function refresh(key, ttl, fetcher, maxStale) {
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+    const p = (async () => {
+      try {
+        const data = await fetcher();
+        entries[key] = { data, fetched: Date.now(), ttl, max_stale: maxStale };
+        evict();
+        saveSoon();
+        return data;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+
+  // → { data, fetched, stale }
+  async function get(key, ttl, fetcher, { maxStale = DEFAULT_MAX_STALE_MS } = {}) {
+    const entry = entries[key];
+    const age = entry ? Date.now() - entry.fetched : Infinity;
+
+    if (age < ttl) {
+      stats.hits++;
+      if (age >= ttl * REFRESH_AT && !inflight.has(key)) {
+        stats.refreshes++;
+        refresh(key, ttl, fetcher, maxStale).catch((err) => {
+          stats.errors++;
+          log(`⚠️ Background ${label} refresh failed for ${key}: ${err.message}`);
+        });
+      }
+      return { data: entry.data, fetched: entry.fetched, stale: false };
+    }
+
+    stats.misses++;
+    try {
+      const data = await refresh(key, ttl, fetcher, maxStale);
+      return { data, fetched: entries[key]?.fetched ?? Date.now(), stale: false };
+    } catch (err) {
+      stats.errors++;
+      // Client errors (bad city, unknown provider) are answers, not outages
+      if (!entry || (err.status && err.status < 500) || age > maxStale) throw err;
+      stats.stale++;
+      log(`🗄️ Serving stale ${key} (${Math.round(age / 60000)} min old): ${err.message}`);
+      return { data: entry.data, fetched: entry.fetched, stale: true };
+    }
+  }
+
+  return {
+    get,
+    flush: save,
+    status: () => ({ entries: Object.keys(entries).length, inflight: inflight.size, ...stats }),
+  };
+}
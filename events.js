@@ -0,0 +1,48 @@
+// ------------------------------------------------------------
+// 📣 Server-sent events – push notices to connected kiosks
+// ------------------------------------------------------------
+const KEEPALIVE_MS = 25 * 1000;
+
+export function createEventHub(log) {
+  const streams = new Set(); // { res, clientId }
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Express handler: GET /api/events (client id resolved by the caller)
+  function subscribe(req, res, clientId) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const entry = { res, clientId };
+    streams.add(entry);
+    send(res, "hello", { client: clientId });
+    log(`📣 Kiosk ${clientId} subscribed (${streams.size} connected)`);
+
+    const ping = setInterval(() => res.write(": ping\n\n"), KEEPALIVE_MS);
+    req.on("close", () => {
+      clearInterval(ping);
+      streams.delete(entry);
+    });
+  }
+
+  // filter(clientId) → boolean; omit to reach every kiosk
+  function broadcast(event, data, filter) {
+    let n = 0;
+    for (const { res, clientId } of streams) {
+      if (filter && !filter(clientId)) continue;
+      send(res, event, data);
+      n++;
+    }
+    return n;
+  }
+
+  return { subscribe, broadcast, connected: () => [...streams].map((s) => s.clientId) };
+}
@@ -0,0 +1,389 @@
+// ------------------------------------------------------------
+// 📰 Feed slides – RSS/Atom, iCalendar and JSON as templated pages
+// ------------------------------------------------------------
+//   - id: building_events
+//     type: feed
+//     url: https://calendar.example.edu/engineering.ics   # or fixtures/events.ics
+//     template: agenda          # agenda | ticker | stat (default by format)
+//     days: 14                  # ical: how far ahead to list events
+//     limit: 8
+//     refresh: 15               # minutes between upstream fetches
+//
+//   - id: river_level
+//     type: feed
+//     url: https://api.water.noaa.gov/nwps/v1/gauges/RMDV2/stageflow
+//     format: json
+//     items: observed.data      # path to the list (negative index = from the end)
+//     fields: { value: primary, date: validTime }
+//     order: newest
+//     unit: ft
+//     template: stat
+//
+// The player sees an html slide pointing at /pages/feed.html?id=<slide id>;
+// that page asks GET /api/feeds/<id> and fills a template from
+// public/pages/templates. Only feeds defined in config.yaml are fetched, so
+// the endpoint is not an open proxy. Local sources must live in fixtures/
+// (written as fixtures/<file>); remote answers go through diskcache.js, like weather.
+//
+// Every format becomes { format, title, items: [ITEM] } where
+// ITEM { title, summary, link, date, end, all_day, location, value, unit, image }
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { localParts } from "./schedule.js";
+import { createDiskCache } from "./diskcache.js";
+
+export const FEED_FORMATS = ["rss", "ical", "json"];
+export const FEED_TEMPLATES = ["agenda", "ticker", "stat"];
+export const DEFAULT_TEMPLATE = { rss: "ticker", ical: "agenda", json: "stat" };
+export const FEED_ORDERS = ["oldest", "newest", "source"];
+const DEFAULT_REFRESH_MIN = 15;
+const DEFAULT_DAYS = 14;
+const DEFAULT_LIMIT = 10;
+const MAX_BYTES = 2 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_OCCURRENCES = 1000;
+// Periods walked per RRULE (a daily rule from 1970 is ~21000), so no rule can spin forever
+const MAX_RULE_STEPS = 50000;
+export const LOCAL_FEED_DIR = "fixtures";
+
+export function feedError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// ------------------------------------------------------------
+// 🧩 RSS 2.0 / Atom (just enough XML for feeds)
+// ------------------------------------------------------------
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeXml(s) {
+  return s.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Element text with CDATA unwrapped and entities decoded
+function tagText(xml, names) {
+  for (const name of names) {
+    const m = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "i"));
+    if (!m) continue;
+    const raw = m[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, c) => c.replace(/&/g, "&amp;").replace(/</g, "&lt;"));
+    return decodeXml(raw).trim();
+  }
+  return "";
+}
+
+function tagAttr(xml, name, attr, where = () => true) {
+  for (const m of xml.matchAll(new RegExp(`<${name}\\b([^>]*)/?>`, "gi"))) {
+    const attrs = Object.fromEntries([...m[1].matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)].map((a) => [a[1].toLowerCase(), decodeXml(a[2])]));
+    if (attrs[attr] && where(attrs)) return attrs[attr];
+  }
+  return "";
+}
+
+const stripHtml = (s) =>
+  decodeXml(s.replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").replace(/ ([.,;:!?])/g, "$1").trim();
+const isoOrNull = (s) => (s && Number.isFinite(Date.parse(s)) ? new Date(s).toISOString() : null);
+
+export function parseRss(xml) {
+  const atom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+  const blocks = [...xml.matchAll(atom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi)].map((m) => m[0]);
+  const head = xml.slice(0, xml.search(atom ? /<entry[\s>]/i : /<item[\s>]/i) >>> 0);
+  return {
+    format: "rss",
+    title: stripHtml(tagText(head, ["title"])),
+    items: blocks.map((b) => ({
+      title: stripHtml(tagText(b, ["title"])),
+      summary: stripHtml(tagText(b, ["description", "summary", "content:encoded", "content"])),
+      link: atom ? tagAttr(b, "link", "href", (a) => !a.rel || a.rel === "alternate") : tagText(b, ["link"]),
+      date: isoOrNull(tagText(b, ["pubDate", "dc:date", "published", "updated"])),
+      image:
+        tagAttr(b, "enclosure", "url", (a) => /^image\//.test(a.type || "")) ||
+        tagAttr(b, "media:content", "url", (a) => !a.medium || a.medium === "image") ||
+        tagAttr(b, "media:thumbnail", "url") ||
+        null,
+    })),
+  };
+}
+
+// ------------------------------------------------------------
+// 📅 iCalendar (VEVENT, TZID, all-day, simple RRULE + EXDATE)
+// ------------------------------------------------------------
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Wall-clock time in timeZone → epoch ms (two passes settle DST edges)
+function zonedToUtc(y, mo, d, h, mi, s, timeZone) {
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s);
+  if (timeZone === "UTC") return wall;
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(t), timeZone);
+    const [py, pm, pd] = p.date.split("-").map(Number);
+    t -= Date.UTC(py, pm - 1, pd, 0, p.minutes, p.seconds) - wall;
+  }
+  return t;
+}
+
+const icalUnescape = (s) => s.replace(/\\n/gi, "\n").replace(/\\([,;\\])/g, "$1");
+
+// "DTSTART;TZID=America/New_York:20251024T090000" → { wall, utc, allDay, tz }
+function icalTime(prop, fallbackTz) {
+  if (!prop) return null;
+  const m = prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h = "0", mi = "0", s = "0", z] = m;
+  const allDay = !m[4];
+  const tz = z ? "UTC" : prop.params.TZID || fallbackTz;
+  const wall = [+y, +mo, +d, +h, +mi, +s];
+  return { wall, allDay, tz, utc: zonedToUtc(...wall, tz) };
+}
+
+function parseIcsLines(text) {
+  // Unfold continuation lines, then split NAME;PARAM=..:VALUE
+  return text
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      const i = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+      const [name, ...params] = line.slice(0, i).split(";");
+      return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map((p) => p.split("=")).map(([k, v]) => [k.toUpperCase(), (v || "").replace(/"/g, "")])),
+        value: line.slice(i + 1),
+      };
+    });
+}
+
+// Occurrences of a RRULE (FREQ, INTERVAL, COUNT, UNTIL, BYDAY) overlapping [from, to].
+// Earlier ones are walked, not kept, so COUNT still counts from DTSTART.
+function expandRule(rule, start, { from, to, length }) {
+  const r = Object.fromEntries(rule.split(";").map((p) => p.split("=")));
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(r.FREQ)) return [start];
+  const parsed = parseInt(r.INTERVAL, 10);
+  const interval = Number.isFinite(parsed) && parsed > 0 ? parsed : 1;
+  const count = Number.isFinite(parseInt(r.COUNT, 10)) ? parseInt(r.COUNT, 10) : Infinity;
+  const until = Math.min(r.UNTIL ? icalTime({ value: r.UNTIL, params: {} }, start.tz)?.utc ?? to : to, to);
+  const weekdays = r.FREQ === "WEEKLY" && r.BYDAY
+    ? r.BYDAY.split(",").map((d) => WEEKDAYS.indexOf(d.slice(-2))).filter((d) => d >= 0).sort()
+    : [];
+  const byDay = weekdays.length ? weekdays : null; // no weekday we know: as if BYDAY were absent
+  const [y, mo, d, ...time] = start.wall;
+  const first = Date.UTC(y, mo - 1, d);
+  const out = [];
+  let seen = 0;
+  // false once past UNTIL / COUNT
+  const visit = (date) => {
+    if (date.getTime() < first) return true;
+    const wall = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), ...time];
+    const utc = zonedToUtc(...wall, start.tz);
+    if (utc > until || seen >= count) return false;
+    seen++;
+    if (utc + length >= from) out.push({ ...start, wall, utc });
+    return out.length < MAX_OCCURRENCES;
+  };
+  for (let n = 0, step = 0; step < MAX_RULE_STEPS; n += interval, step++) {
+    const base = new Date(first);
+    if (r.FREQ === "DAILY") base.setUTCDate(base.getUTCDate() + n);
+    else if (r.FREQ === "WEEKLY") base.setUTCDate(base.getUTCDate() + 7 * n - (byDay ? base.getUTCDay() : 0));
+    else if (r.FREQ === "MONTHLY") base.setUTCMonth(base.getUTCMonth() + n);
+    else base.setUTCFullYear(base.getUTCFullYear() + n);
+    const days = byDay ? byDay.map((wd) => new Date(base.getTime() + wd * 86400000)) : [base];
+    if (!days.every(visit)) break;
+  }
+  return out;
+}
+
+// Events overlapping [from, to], earliest first
+export function parseIcal(text, { timezone, from = Date.now(), to = from + DEFAULT_DAYS * 86400000 } = {}) {
+  const lines = parseIcsLines(text);
+  const calName = lines.find((l) => l.name === "X-WR-CALNAME")?.value || "";
+  const calTz = lines.find((l) => l.name === "X-WR-TIMEZONE")?.value || timezone;
+  const items = [];
+  let ev = null;
+  for (const l of lines) {
+    if (l.name === "BEGIN" && l.value === "VEVENT") ev = { EXDATE: [] };
+    else if (l.name === "END" && l.value === "VEVENT" && ev) {
+      const start = icalTime(ev.DTSTART, calTz);
+      if (start && ev.STATUS?.value !== "CANCELLED") {
+        const end = icalTime(ev.DTEND, calTz);
+        const length = end ? end.utc - start.utc : start.allDay ? 86400000 : 0;
+        const skip = new Set(ev.EXDATE.flatMap((x) => x.value.split(",").map((v) => icalTime({ ...x, value: v }, calTz)?.utc)));
+        const starts = ev.RRULE ? expandRule(ev.RRULE.value, start, { from, to, length }) : [start];
+        for (const s of starts) {
+          if (skip.has(s.utc) || s.utc > to || s.utc + length < from) continue;
+          const date = s.allDay ? s.wall.slice(0, 3).map((n, i) => String(n).padStart(i ? 2 : 4, "0")).join("-") : new Date(s.utc).toISOString();
+          items.push({
+            title: icalUnescape(ev.SUMMARY?.value || ""),
+            summary: icalUnescape(ev.DESCRIPTION?.value || ""),
+            link: ev.URL?.value || "",
+            location: icalUnescape(ev.LOCATION?.value || ""),
+            date,
+            end: length && !s.allDay ? new Date(s.utc + length).toISOString() : null,
+            all_day: s.allDay,
+            sort: s.utc,
+          });
+        }
+      }
+      ev = null;
+    } else if (ev) {
+      if (l.name === "EXDATE") ev.EXDATE.push(l);
+      else ev[l.name] = l;
+    }
+  }
+  items.sort((a, b) => a.sort - b.sort);
+  return { format: "ical", title: calName, items: items.map(({ sort, ...i }) => i) };
+}
+
+// ------------------------------------------------------------
+// 🔢 JSON (pick a list by path, map fields onto ITEM)
+// ------------------------------------------------------------
+// "observed.data.-1.primary" → value (numeric parts index arrays, negatives from the end)
+export function pick(obj, dotted) {
+  if (!dotted) return obj;
+  return String(dotted)
+    .split(".")
+    .reduce((v, key) => {
+      if (v == null) return undefined;
+      if (Array.isArray(v) && /^-?\d+$/.test(key)) return v.at(Number(key));
+      return v[key];
+    }, obj);
+}
+
+export function parseJson(text, { items: itemsPath, fields = {}, title } = {}) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw feedError(502, `Feed is not valid JSON: ${err.message}`);
+  }
+  const list = pick(data, itemsPath);
+  const rows = Array.isArray(list) ? list : list == null ? [] : [list];
+  return {
+    format: "json",
+    title: typeof pick(data, title) === "string" ? pick(data, title) : "",
+    items: rows.map((row) => {
+      const item = row && typeof row === "object" ? { ...row } : { value: row };
+      for (const [key, p] of Object.entries(fields)) item[key] = pick(row, p);
+      return item;
+    }),
+  };
+}
+
+export function sniffFormat(text, source = "") {
+  const ext = path.extname(new URL(source, "file:///").pathname).toLowerCase();
+  if (ext === ".ics") return "ical";
+  if (ext === ".json") return "json";
+  if ([".rss", ".atom", ".xml"].includes(ext)) return "rss";
+  const head = text.trimStart().slice(0, 200);
+  if (/^BEGIN:VCALENDAR/i.test(head)) return "ical";
+  if (/^[[{]/.test(head)) return "json";
+  if (/^</.test(head)) return "rss";
+  throw feedError(502, "Cannot tell whether the feed is RSS, iCal or JSON (set format:)");
+}
+
+// Why a feed url is refused, or "" (http(s) URLs and files in fixtures/ only)
+export function feedSourceError(source) {
+  if (typeof source !== "string" || !source) return "is empty";
+  if (/^https?:\/\//i.test(source)) return "";
+  const parts = source.split(/[\\/]/);
+  if (parts[0] !== LOCAL_FEED_DIR || parts.length < 2 || parts.slice(1).some((p) => !p || p.startsWith(".")))
+    return `must be an http(s) URL or a file in ${LOCAL_FEED_DIR}/ (e.g. ${LOCAL_FEED_DIR}/events.ics)`;
+  return "";
+}
+
+// ------------------------------------------------------------
+// 🗂️ Feed service – fetch, cache, parse, trim
+// ------------------------------------------------------------
+// rootDir holds fixtures/, the only place local sources are read from; timezone() → config timezone for floating times
+export function createFeedService({ cacheFile, rootDir, timezone = () => undefined, log }) {
+  const cache = createDiskCache({ file: cacheFile, log, label: "feed" });
+
+  async function fetchText(url) {
+    let res;
+    try {
+      res = await fetch(url, {
+        headers: { Accept: "application/rss+xml, application/atom+xml, text/calendar, application/json, */*" },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+      });
+    } catch (err) {
+      throw feedError(502, `Feed ${new URL(url).host} unreachable (${err.cause?.code || err.name})`);
+    }
+    if (!res.ok) throw feedError(502, `Feed ${new URL(url).host} answered ${res.status}`);
+    const text = await res.text();
+    if (text.length > MAX_BYTES) throw feedError(502, `Feed larger than ${MAX_BYTES / 1024 / 1024} MB`);
+    return text;
+  }
+
+  function readLocal(source) {
+    const error = feedSourceError(source);
+    if (error) throw feedError(400, `Feed path "${source}" ${error}`);
+    const abs = path.join(rootDir, source);
+    try {
+      return fs.readFileSync(abs, "utf8");
+    } catch {
+      throw feedError(404, `Feed file not found: ${source}`);
+    }
+  }
+
+  // Feed slide → { id, format, template, title, fetched, stale?, items }
+  async function load(slide, now = Date.now()) {
+    const source = slide.url;
+    let text, fetched = now, stale = false;
+    if (/^https?:\/\//i.test(source)) {
+      const ttl = (slide.refresh || DEFAULT_REFRESH_MIN) * 60 * 1000;
+      ({ data: text, fetched, stale } = await cache.get(`feed|${source}`, ttl, () => fetchText(source)));
+    } else {
+      text = readLocal(source);
+    }
+
+    const format = slide.format || sniffFormat(text, source);
+    let feed;
+    if (format === "ical") feed = parseIcal(text, { timezone: timezone(), from: now, to: now + (slide.days || DEFAULT_DAYS) * 86400000 });
+    else if (format === "json") feed = parseJson(text, slide);
+    else feed = parseRss(text);
+
+    let items = feed.items;
+    if (slide.order && slide.order !== "source") {
+      const t = (i) => Date.parse(i.date) || 0;
+      items = [...items].sort((a, b) => (slide.order === "newest" ? t(b) - t(a) : t(a) - t(b)));
+    }
+    return {
+      id: slide.id,
+      format,
+      template: slide.template || DEFAULT_TEMPLATE[format],
+      title: slide.title || feed.title || "",
+      unit: slide.unit || "",
+      fetched: new Date(fetched).toISOString(),
+      ...(stale ? { stale: true } : {}),
+      items: items.slice(0, slide.limit || DEFAULT_LIMIT),
+    };
+  }
+
+  return { load, cacheStatus: cache.status };
+}
+
+// ------------------------------------------------------------
+// 📰 GET /api/feeds/:id – one configured feed slide, parsed
+// ------------------------------------------------------------
+// slides() → current slide library
+export function createFeedRouter(express, feeds, slides, log) {
+  const router = express.Router();
+
+  router.get("/:id", async (req, res) => {
+    const slide = (slides() || []).find((s) => s.id === req.params.id && s.type === "feed");
+    if (!slide) return res.status(404).json({ error: `No feed slide "${req.params.id}"` });
+    try {
+      res.json(await feeds.load(slide));
+    } catch (err) {
+      if (!err.status) console.error(`❌ Feed ${slide.id} error:`, err);
+      else log(`⚠️ Feed ${slide.id}: ${err.message}`);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,274 @@
+// ------------------------------------------------------------
+// 🖼️ Image cache – the one image pipeline (server, uploads, make pre-cache)
+// ------------------------------------------------------------
+// Every output is auto-oriented from EXIF and written with orientation 1,
+// so browsers never rotate a second time.
+//
+// cache/<rel>                   kiosk copy, max 1920×1080, original format
+// cache/_<W>x<H>/<rel>[.webp]    display variant (see pickVariant)
+// cache/_thumb/<rel>            admin thumbnail, max 320×320
+// cache/_meta/<rel>.json        size, format and EXIF capture date
+// cache/_manifest.json          freshness + LRU bookkeeping (cachemanifest.js)
+// cache/_timelapse/             rendered sequences (timelapse.js keeps those)
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import exifReader from "exif-reader";
+import { createCacheManifest, MANIFEST_FILE } from "./cachemanifest.js";
+import { createWorkPool, defaultConcurrency } from "./workpool.js";
+
+export const IMAGE_EXTS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".tif", ".tiff", ".heic", ".avif"];
+export const isImageFile = (file) => IMAGE_EXTS.includes(path.extname(file).toLowerCase());
+
+export const IMAGE_FORMATS = ["jpeg", "png", "gif", "webp", "tiff", "heif", "avif"];
+
+// Display buckets (landscape); portrait screens get the same sizes swapped.
+// Snapping keeps the number of cached variants per photo small.
+export const VARIANT_SIZES = [
+  [1280, 720],
+  [1920, 1080],
+  [2560, 1440],
+  [3840, 2160],
+];
+export const DEFAULT_VARIANT = { width: 1920, height: 1080, format: null };
+export const OUTPUT_FORMATS = {
+  webp: { ext: ".webp", options: { quality: 82 } },
+  avif: { ext: ".avif", options: { quality: 55, effort: 4 } },
+};
+
+export const DERIVATIVES = {
+  thumb: { dir: "_thumb", width: 320, height: 320 },
+  hd: { ...DEFAULT_VARIANT },
+  uhd: { width: 3840, height: 2160, format: null },
+};
+
+const META_DIR = "_meta";
+export const TIMELAPSE_DIR = "_timelapse";
+// Bump when the processing itself changes so cached files made the old way regenerate
+const PIPELINE_VERSION = 2;
+
+// Choose a variant for a display: { w, h } in device pixels (CSS size ×
+// devicePixelRatio) and the formats the browser can decode, in the
+// server's order of preference.
+export function pickVariant({ w, h, formats } = {}, prefer = ["webp", "avif"]) {
+  const width = Number(w) || 0;
+  const height = Number(h) || 0;
+  let size = [DEFAULT_VARIANT.width, DEFAULT_VARIANT.height];
+  if (width > 0 && height > 0) {
+    const long = Math.max(width, height);
+    const short = Math.min(width, height);
+    size = VARIANT_SIZES.find(([bw, bh]) => bw >= long && bh >= short) || VARIANT_SIZES.at(-1);
+    if (height > width) size = [size[1], size[0]];
+  }
+  const accepted = String(formats || "").toLowerCase().split(",").map((f) => f.trim());
+  const format = prefer.find((f) => OUTPUT_FORMATS[f] && accepted.includes(f)) || null;
+  return { width: size[0], height: size[1], format };
+}
+
+// Cache-relative key: each size/format combination gets its own file.
+export function variantKey(rel, { width, height, format } = DEFAULT_VARIANT) {
+  const legacy = width === DEFAULT_VARIANT.width && height === DEFAULT_VARIANT.height;
+  const base = legacy ? rel : path.join(`_${width}x${height}`, rel);
+  return format ? base + OUTPUT_FORMATS[format].ext : base;
+}
+
+// Inverse of variantKey: the photo a cached file was made from.
+export function sourceOfKey(key) {
+  const rel = key.replace(/\\/g, "/").replace(/^_(?:\d+x\d+|thumb)\//, "");
+  const ext = Object.values(OUTPUT_FORMATS).find((f) => rel.endsWith(f.ext));
+  return ext ? rel.slice(0, -ext.ext.length) : rel;
+}
+
+// EXIF stores wall-clock time; exif-reader hands it back as a UTC Date.
+function captureDate(exif) {
+  const when = exif?.Photo?.DateTimeOriginal || exif?.Photo?.DateTimeDigitized || exif?.Image?.DateTime;
+  if (!(when instanceof Date) || Number.isNaN(when.getTime())) return null;
+  const offset = exif?.Photo?.OffsetTimeOriginal || "";
+  return when.toISOString().slice(0, 19) + offset;
+}
+
+export function createImageCache({ photosDir, cacheDir, log, maxBytes = 0, concurrency = defaultConcurrency() }) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const manifest = createCacheManifest({ cacheDir, photosDir, maxBytes, log });
+  const pool = createWorkPool(concurrency);
+  const inflight = new Map(); // key → Promise, so concurrent requests share one resize
+
+  const relOf = (filePath) => path.relative(photosDir, filePath);
+  const urlOf = (prefix, rel) => `${prefix}/${rel.replace(/\\/g, "/")}`;
+
+  // Returns false when the original could be copied byte-for-byte.
+  async function resizeTo(filePath, dest, maxWidth, maxHeight, format = null) {
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    const image = sharp(filePath);
+    const meta = await image.metadata();
+    const rotated = (meta.orientation || 1) > 1;
+    // Orientations 5–8 turn the picture on its side
+    const [width, height] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+    const oversize = width > maxWidth || height > maxHeight;
+    if (!oversize && !format && !rotated) {
+      fs.copyFileSync(filePath, dest);
+      return false;
+    }
+    let pipeline = image.rotate(); // auto-orient from EXIF
+    if (oversize) {
+      pipeline = pipeline.resize({ width: maxWidth, height: maxHeight, fit: "inside", withoutEnlargement: true });
+    }
+    pipeline = pipeline.withMetadata({ orientation: 1 });
+    if (format) pipeline = pipeline.toFormat(format, OUTPUT_FORMATS[format].options);
+    await pipeline.toFile(dest);
+    return true;
+  }
+
+  // Everything that changes the output bytes; a change regenerates the file.
+  function paramsOf({ width, height, format }) {
+    return {
+      width,
+      height,
+      format: format || null,
+      ...(format ? OUTPUT_FORMATS[format].options : {}),
+      pipeline: PIPELINE_VERSION,
+    };
+  }
+
+  // (Re)build cache/<key> unless the manifest says it is current.
+  async function build(filePath, key, variant) {
+    const params = paramsOf(variant);
+    if (await manifest.isFresh(key, filePath, params)) return;
+    const resized = await pool.run(() =>
+      resizeTo(filePath, path.join(cacheDir, key), variant.width, variant.height, variant.format)
+    );
+    await manifest.record(key, filePath, params);
+    if (resized)
+      log(`🖼️ Cached ${variant.width}x${variant.height}${variant.format ? ` ${variant.format}` : ""} ${relOf(filePath)}`);
+  }
+
+  function buildOnce(filePath, key, variant) {
+    if (!inflight.has(key)) {
+      inflight.set(key, build(filePath, key, variant).finally(() => inflight.delete(key)));
+    }
+    return inflight.get(key);
+  }
+
+  // variant: { width, height, format } from pickVariant(); defaults to 1920×1080 as-is
+  async function ensureCached(filePath, variant = DEFAULT_VARIANT) {
+    try {
+      const key = variantKey(relOf(filePath), variant);
+      await buildOnce(filePath, key, variant);
+      return urlOf("/cache", key);
+    } catch (err) {
+      console.error("⚠️ Cache error:", err);
+      return urlOf("/photos", relOf(filePath));
+    }
+  }
+
+  // EXIF capture date for any photo (uploads already have it in _meta);
+  // memoized on path + mtime since captions ask for it on every playlist build.
+  const takenMemo = new Map();
+  async function takenAt(filePath) {
+    try {
+      const rel = relOf(filePath);
+      const mtime = fs.statSync(filePath).mtimeMs;
+      const memo = takenMemo.get(rel);
+      if (memo?.mtime === mtime) return memo.taken;
+      let taken = readMeta(rel)?.taken;
+      if (taken === undefined) {
+        const { exif } = await sharp(filePath).metadata();
+        try {
+          taken = exif ? captureDate(exifReader(exif)) : null;
+        } catch {
+          taken = null;
+        }
+      }
+      takenMemo.set(rel, { mtime, taken });
+      return taken;
+    } catch {
+      return null;
+    }
+  }
+
+  function metaPath(rel) {
+    return path.join(cacheDir, META_DIR, `${rel}.json`);
+  }
+
+  function readMeta(rel) {
+    try {
+      return JSON.parse(fs.readFileSync(metaPath(rel), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  // Build every derivative now (overwriting stale ones) and record metadata.
+  async function generateDerivatives(filePath) {
+    const rel = relOf(filePath);
+    const meta = await sharp(filePath).metadata();
+    let exif = null;
+    try {
+      exif = meta.exif ? exifReader(meta.exif) : null;
+    } catch {
+      exif = null; // corrupt EXIF blocks are common on edited photos
+    }
+
+    const variants = {};
+    for (const [name, v] of Object.entries(DERIVATIVES)) {
+      const key = v.dir ? path.join(v.dir, rel) : variantKey(rel, v);
+      await pool.run(() => resizeTo(filePath, path.join(cacheDir, key), v.width, v.height, v.format));
+      await manifest.record(key, filePath, paramsOf(v));
+      variants[name] = urlOf("/cache", key);
+    }
+
+    const info = {
+      file: rel.replace(/\\/g, "/"),
+      format: meta.format,
+      width: meta.width,
+      height: meta.height,
+      orientation: meta.orientation || 1,
+      taken: captureDate(exif),
+      bytes: fs.statSync(filePath).size,
+      processed: new Date().toISOString(),
+      variants,
+    };
+    fs.mkdirSync(path.dirname(metaPath(rel)), { recursive: true });
+    fs.writeFileSync(metaPath(rel), JSON.stringify(info, null, 2));
+    log(`🖼️ Derivatives for ${rel}: ${Object.keys(variants).join(", ")}${info.taken ? ` (taken ${info.taken})` : ""}`);
+    return info;
+  }
+
+  // Remove cache files (tracked or left over from before the manifest) and
+  // metadata whose source photo no longer exists.
+  function prune() {
+    let removed = manifest.prune();
+    const walk = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir, { recursive: true }) : []);
+    for (const rel of walk(cacheDir)) {
+      const key = rel.replace(/\\/g, "/");
+      if (key === MANIFEST_FILE || key.startsWith(`${META_DIR}/`) || key.startsWith(`${TIMELAPSE_DIR}/`) || manifest.has(key)) continue;
+      const abs = path.join(cacheDir, rel);
+      if (!fs.statSync(abs).isFile() || !isImageFile(sourceOfKey(key))) continue;
+      if (!fs.existsSync(path.join(photosDir, sourceOfKey(key)))) {
+        fs.rmSync(abs, { force: true });
+        removed++;
+      }
+    }
+    for (const rel of walk(path.join(cacheDir, META_DIR))) {
+      if (!rel.endsWith(".json")) continue;
+      if (!fs.existsSync(path.join(photosDir, rel.slice(0, -".json".length)))) {
+        fs.rmSync(path.join(cacheDir, META_DIR, rel), { force: true });
+      }
+    }
+    return removed;
+  }
+
+  return {
+    ensureCached,
+    // Like ensureCached, but errors propagate (used by make pre-cache)
+    cacheFile: (filePath, variant = DEFAULT_VARIANT) => buildOnce(filePath, variantKey(relOf(filePath), variant), variant),
+    generateDerivatives,
+    readMeta,
+    takenAt,
+    prune,
+    enforceLimit: () => manifest.enforceLimit(),
+    status: (opts) => manifest.status(opts),
+    flush: () => manifest.flush(),
+  };
+}
@@ -0,0 +1,158 @@
+// ------------------------------------------------------------
+// 📤 Photo upload API – multipart POST or raw PUT under photos/
+// ------------------------------------------------------------
+// POST /api/photos            multipart/form-data; optional "dir" field,
+//                             one or more file parts (subfolders allowed
+//                             in the part filename, e.g. kitchen_during/1.JPG)
+// PUT  /api/photos/<path>     raw image bytes as the request body
+// GET  /api/photos/<path>     stored metadata + derivative URLs
+//
+// Uploads stream to a hidden temp file under photos/ and are renamed into
+// place once sharp has read them, so memory use does not grow with the
+// upload; multipart parts are stored one after the other.
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import sharp from "sharp";
+import busboy from "busboy";
+import { IMAGE_FORMATS, IMAGE_EXTS } from "./imagecache.js";
+import { resolveInside } from "./safepath.js";
+
+export { IMAGE_EXTS };
+export const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const MAX_UPLOAD_FILES = 200;
+
+function uploadError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Byte counter that stops passing data on past the limit but keeps reading, so
+// the request is drained (not destroyed) and the client still gets its 413
+function sizeLimit(limit) {
+  const counter = new Transform({
+    transform(chunk, _enc, done) {
+      counter.bytes += chunk.length;
+      done(null, counter.bytes > limit ? undefined : chunk);
+    },
+  });
+  counter.bytes = 0;
+  return counter;
+}
+
+// maxBytes: per-upload cap (tests lower it)
+export function createPhotoStore({ photosDir, imageCache, log, maxBytes = MAX_UPLOAD_BYTES }) {
+  let seq = 0;
+
+  // Where rel would be stored; throws before any bytes are written
+  function target(rel) {
+    const abs = resolveInside(photosDir, rel);
+    if (!abs || abs === photosDir) throw uploadError(400, `Invalid path "${rel}"`);
+    if (!IMAGE_EXTS.includes(path.extname(abs).toLowerCase()))
+      throw uploadError(415, `Only ${IMAGE_EXTS.join(", ")} files are accepted`);
+    return abs;
+  }
+
+  // Validate, write and process one upload (a stream or a Buffer); returns the stored metadata.
+  async function save(rel, input) {
+    const abs = target(rel);
+    // Hidden, on the same disk as the target: skipped by globs and static serving, renamed atomically
+    const tmp = path.join(photosDir, `.upload-${process.pid}-${++seq}`);
+    const counter = sizeLimit(maxBytes);
+    try {
+      const source = Buffer.isBuffer(input) ? Readable.from([input]) : input;
+      await pipeline(source, counter, fs.createWriteStream(tmp));
+      // input.truncated: busboy cut the part at its own fileSize limit
+      if (counter.bytes > maxBytes || input.truncated) throw uploadError(413, `Upload exceeds ${maxBytes} bytes`);
+      if (!counter.bytes) throw uploadError(400, "Empty upload");
+
+      // Sniff the bytes — the extension alone proves nothing
+      let meta;
+      try {
+        meta = await sharp(tmp).metadata();
+      } catch {
+        throw uploadError(415, `${rel} is not a readable image`);
+      }
+      if (!IMAGE_FORMATS.includes(meta.format)) throw uploadError(415, `${rel}: unsupported format ${meta.format}`);
+
+      fs.mkdirSync(path.dirname(abs), { recursive: true });
+      fs.renameSync(tmp, abs);
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+    const relPath = path.relative(photosDir, abs).replace(/\\/g, "/");
+    log(`📤 Uploaded ${relPath} (${counter.bytes} bytes)`);
+    return imageCache.generateDerivatives(abs);
+  }
+
+  return { save };
+}
+
+export function createPhotoRouter(express, { photosDir, photoStore, imageCache }) {
+  const router = express.Router();
+
+  function sendError(res, err) {
+    if (!err.status) console.error("❌ Upload error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+
+  // --- multipart ---
+  router.post("/", (req, res) => {
+    let bb;
+    try {
+      bb = busboy({ headers: req.headers, limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES } });
+    } catch (err) {
+      return sendError(res, uploadError(400, err.message));
+    }
+
+    let dir = "";
+    const results = [];
+    let last = Promise.resolve();
+    bb.on("field", (name, value) => {
+      if (name === "dir") dir = value.trim();
+    });
+    // busboy hands over one part at a time; each streams to disk, derivatives run in turn
+    bb.on("file", (name, stream, info) => {
+      // Field order matters: "dir" must precede the file parts
+      const rel = path.posix.join(dir, info.filename || "");
+      const stored = photoStore.save(rel, stream).catch((err) => {
+        stream.resume(); // refused before reading: drain so the next part arrives
+        if (!err.status) console.error("❌ Upload error:", err);
+        return { file: rel, error: err.message };
+      });
+      last = last.then(() => stored).then((r) => results.push(r));
+    });
+    bb.on("close", async () => {
+      await last;
+      if (!results.length) return res.status(400).json({ error: "No files in upload" });
+      const failed = results.filter((r) => r.error).length;
+      res.status(failed === results.length ? 415 : 200).json({ uploaded: results.length - failed, failed, results });
+    });
+    bb.on("error", (err) => sendError(res, uploadError(400, err.message)));
+    req.pipe(bb);
+  });
+
+  // --- raw body ---
+  router.put("/*file", async (req, res) => {
+    try {
+      if (Number(req.get("content-length")) > MAX_UPLOAD_BYTES) throw uploadError(413, `Upload exceeds ${MAX_UPLOAD_BYTES} bytes`);
+      res.json(await photoStore.save([].concat(req.params.file).join("/"), req));
+    } catch (err) {
+      req.resume(); // refused before reading (bad path, too long): drain so the answer arrives
+      sendError(res, err);
+    }
+  });
+
+  router.get("/*file", (req, res) => {
+    const rel = [].concat(req.params.file).join("/");
+    if (!resolveInside(photosDir, rel)) return res.status(400).json({ error: "Invalid path" });
+    const meta = imageCache.readMeta(rel);
+    if (!meta) return res.status(404).json({ error: "No metadata (not uploaded through the API yet)" });
+    res.json(meta);
+  });
+
+  return router;
+}
@@ -0,0 +1,39 @@
+// ------------------------------------------------------------
+// 📋 Playlist resolution – which slides a client can show
+// ------------------------------------------------------------
+import path from "path";
+import { safeGlob } from "./safepath.js";
+import { isImageFile } from "./imagecache.js";
+
+// Client entry, falling back to the shared default playlist.
+export function clientEntry(config, clientId) {
+  return (config.clients || {})[clientId] || config.default || {};
+}
+
+// Every slide the client's playlist references, mux panels followed
+// recursively. Schedules are ignored: this is what *may* be shown.
+export function playlistSlides(config, clientId) {
+  const library = config.slides || [];
+  const include = clientEntry(config, clientId).include || config.default?.include || [];
+  const ids = include.length ? include : library.map((s) => s.id);
+  const found = new Map();
+  const visit = (id) => {
+    const slide = library.find((s) => s.id === id);
+    if (!slide || found.has(id)) return;
+    found.set(id, slide);
+    if (slide.type === "mux") for (const panel of slide.panels || []) (panel.slides || []).forEach(visit);
+  };
+  ids.forEach(visit);
+  return [...found.values()];
+}
+
+// Image files (relative to photosDir) behind those slides, globs expanded.
+export async function playlistImages(config, clientId, photosDir) {
+  const files = new Set();
+  for (const slide of playlistSlides(config, clientId)) {
+    if (!slide.file) continue;
+    const matches = slide.file.includes("*") ? await safeGlob(photosDir, slide.file) : [slide.file];
+    for (const f of matches) if (isImageFile(f)) files.add(path.normalize(f));
+  }
+  return [...files].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
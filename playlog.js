@@ -0,0 +1,174 @@
+// ------------------------------------------------------------
+// 📊 Play log – what was actually on screen, and for how long
+// ------------------------------------------------------------
+// Players POST batches of slide start/end events to /api/plays. Each event
+// becomes one JSON line in logs/plays/<YYYY-MM-DD>.jsonl (day in the config
+// timezone), so a day's file can be grepped, archived or deleted by hand.
+//
+//   {"event":"start","client":"pi4office","slide":"bath_after","type":"still","at":"…"}
+//   {"event":"end",  "client":"pi4office","slide":"bath_after","type":"still","at":"…","seconds":10.02}
+//
+// Mux panel slides carry "parent": <mux id>. Summaries count starts as
+// impressions and add up end seconds as dwell time.
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { localParts } from "./schedule.js";
+
+export const SUMMARY_KEYS = ["client", "slide", "day"];
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BATCH = 500;
+const MAX_SECONDS = 7 * 24 * 3600;
+const CLOCK_SKEW_MS = 24 * 3600 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+
+const str = (v, max) => (v == null || v === "" ? null : String(v).slice(0, max));
+
+function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Validated event, or null. Kiosk timestamps are trusted unless wildly off.
+function cleanEvent(e, clientId, now) {
+  if (!e || (e.event !== "start" && e.event !== "end") || !e.slide) return null;
+  const at = Date.parse(e.at);
+  const out = {
+    event: e.event,
+    client: clientId,
+    slide: str(e.slide, 64),
+    type: str(e.type, 16),
+    parent: str(e.parent, 64),
+    at: new Date(Number.isFinite(at) && Math.abs(at - now) < CLOCK_SKEW_MS ? at : now).toISOString(),
+  };
+  if (!out.parent) delete out.parent;
+  if (e.event === "end") {
+    const s = Number(e.seconds);
+    out.seconds = Number.isFinite(s) ? Math.round(Math.min(Math.max(s, 0), MAX_SECONDS) * 100) / 100 : 0;
+  }
+  return out;
+}
+
+// Rows → CSV text (RFC 4180 quoting)
+export function toCsv(rows, columns) {
+  const cell = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.join(","), ...rows.map((r) => columns.map((c) => cell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// timezone() → current config timezone (days roll over at local midnight)
+export function createPlayLog({ dir, timezone = () => undefined, keepDays = 365, log }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const dayOf = (iso) => localParts(new Date(iso), timezone()).date;
+  const fileOf = (day) => path.join(dir, `${day}.jsonl`);
+
+  function record(clientId, events, now = Date.now()) {
+    const list = (Array.isArray(events) ? events : []).slice(0, MAX_BATCH);
+    const byDay = new Map();
+    for (const e of list) {
+      const clean = cleanEvent(e, clientId, now);
+      if (!clean) continue;
+      const day = dayOf(clean.at);
+      byDay.set(day, (byDay.get(day) || "") + JSON.stringify(clean) + "\n");
+    }
+    let n = 0;
+    for (const [day, lines] of byDay) {
+      fs.appendFileSync(fileOf(day), lines);
+      n += lines.split("\n").length - 1;
+    }
+    return n;
+  }
+
+  // { from, to } as YYYY-MM-DD (inclusive), defaulting to the last week
+  function range({ from, to } = {}) {
+    const today = dayOf(new Date().toISOString());
+    const end = DAY_RE.test(to || "") ? to : today;
+    const start = DAY_RE.test(from || "") ? from : addDays(end, 1 - DEFAULT_RANGE_DAYS);
+    if (start > end) {
+      const err = new Error("from must not be after to");
+      err.status = 400;
+      throw err;
+    }
+    return { from: start, to: end };
+  }
+
+  // Raw events in range, optionally for one client / slide (parent matches too).
+  function events({ from, to, client, slide } = {}) {
+    const r = range({ from, to });
+    const out = [];
+    for (let day = r.from; day <= r.to; day = addDays(day, 1)) {
+      let text;
+      try {
+        text = fs.readFileSync(fileOf(day), "utf8");
+      } catch {
+        continue;
+      }
+      for (const line of text.split("\n")) {
+        if (!line) continue;
+        let e;
+        try {
+          e = JSON.parse(line);
+        } catch {
+          continue;
+        }
+        if (client && e.client !== client) continue;
+        if (slide && e.slide !== slide && e.parent !== slide) continue;
+        out.push({ ...e, day });
+      }
+    }
+    return { ...r, events: out };
+  }
+
+  // Impressions and dwell grouped by any of SUMMARY_KEYS.
+  function summary({ by = ["client", "slide"], ...filter } = {}) {
+    const keys = SUMMARY_KEYS.filter((k) => by.includes(k));
+    const { from, to, events: list } = events(filter);
+    const groups = new Map();
+    for (const e of list) {
+      const id = keys.map((k) => e[k]).join("\u0000");
+      let g = groups.get(id);
+      if (!g) {
+        g = { ...Object.fromEntries(keys.map((k) => [k, e[k]])), impressions: 0, ended: 0, seconds: 0, first: e.at, last: e.at };
+        groups.set(id, g);
+      }
+      if (e.event === "start") g.impressions++;
+      else {
+        g.ended++;
+        g.seconds += e.seconds || 0;
+      }
+      if (e.at < g.first) g.first = e.at;
+      if (e.at > g.last) g.last = e.at;
+    }
+    const rows = [...groups.values()]
+      .map(({ ended, first, last, ...g }) => ({
+        ...g,
+        seconds: Math.round(g.seconds * 10) / 10,
+        avg_seconds: ended ? Math.round((g.seconds / ended) * 10) / 10 : null,
+        first,
+        last,
+      }))
+      .sort((a, b) => keys.map((k) => String(a[k]).localeCompare(String(b[k]))).find((c) => c) || 0);
+    return { from, to, by: keys, columns: [...keys, "impressions", "seconds", "avg_seconds", "first", "last"], rows };
+  }
+
+  // Drop day files older than keepDays (0 = keep everything).
+  function prune(now = new Date()) {
+    if (!keepDays) return 0;
+    const cutoff = addDays(dayOf(now.toISOString()), -keepDays);
+    let n = 0;
+    for (const f of fs.readdirSync(dir)) {
+      const day = f.replace(/\.jsonl$/, "");
+      if (DAY_RE.test(day) && day < cutoff) {
+        fs.unlinkSync(path.join(dir, f));
+        n++;
+      }
+    }
+    if (n) log(`📊 Pruned ${n} play log day(s) older than ${cutoff}`);
+    return n;
+  }
+
+  return { record, events, summary, prune };
+}
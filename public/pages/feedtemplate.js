@@ -0,0 +1,57 @@
+// ------------------------------------------------------------
+// 🧩 Feed templates – the mustache subset feed.html renders with
+// ------------------------------------------------------------
+//   {{field}}  {{field|filter}}        escaped value (innermost context first)
+//   {{#list}}…{{/list}}                repeat per item (or once if truthy)
+//   {{^list}}…{{/list}}                only when empty / false
+// Filters: time, date, day, weekday, ago, number, round, upper.
+// ------------------------------------------------------------
+export const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+export const asDate = (v) => new Date(/^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T00:00:00` : v);
+
+export const FILTERS = {
+  time: (v) => (v && !/^\d{4}-\d{2}-\d{2}$/.test(v) ? asDate(v).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" }) : ""),
+  date: (v) => (v ? asDate(v).toLocaleDateString("en-US", { month: "short", day: "numeric" }) : ""),
+  day: (v) => (v ? asDate(v).toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" }) : ""),
+  weekday: (v) => (v ? asDate(v).toLocaleDateString("en-US", { weekday: "short" }) : ""),
+  ago(v) {
+    if (!v) return "";
+    const min = Math.round((Date.now() - asDate(v)) / 60000);
+    if (min < 1) return "just now";
+    if (min < 60) return `${min} min ago`;
+    if (min < 1440) return `${Math.round(min / 60)} h ago`;
+    return `${Math.round(min / 1440)} d ago`;
+  },
+  number: (v) => (v == null || v === "" ? "" : Number(v).toLocaleString("en-US", { maximumFractionDigits: 2 })),
+  round: (v) => (v == null || v === "" ? "" : Math.round(Number(v))),
+  upper: (v) => String(v ?? "").toUpperCase(),
+};
+
+// Look a dotted name up through the context stack (innermost first)
+function lookup(stack, name) {
+  if (name === ".") return stack[stack.length - 1];
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const ctx = stack[i];
+    if (ctx && typeof ctx === "object" && name.split(".")[0] in ctx)
+      return name.split(".").reduce((v, k) => v?.[k], ctx);
+  }
+  return undefined;
+}
+
+// One left-to-right pass, so text coming from the feed is never re-read as a tag
+const TAG = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+export function render(tpl, stack) {
+  return tpl.replace(TAG, (_, kind, section, inner, name, filter) => {
+    if (name) {
+      const v = lookup(stack, name);
+      return esc(filter && FILTERS[filter] ? FILTERS[filter](v) : v);
+    }
+    const v = lookup(stack, section);
+    const empty = !v || (Array.isArray(v) && !v.length);
+    if (kind === "^") return empty ? render(inner, stack) : "";
+    if (empty) return "";
+    if (Array.isArray(v)) return v.map((item) => render(inner, [...stack, item])).join("");
+    return render(inner, typeof v === "object" ? [...stack, v] : stack);
+  });
+}
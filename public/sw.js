@@ -0,0 +1,140 @@
+// ------------------------------------------------------------
+// 📴 Kiosk service worker – keep playing while the server is away
+// ------------------------------------------------------------
+// • /api/slideshow, /api/frames, /api/image, pages: network first, last good
+//   copy when unreachable (marked with X-Kiosk-Offline: 1 for the player)
+// • /cache/*, /photos/* images: cache first, revalidated in the background;
+//   every image a fresh playlist references is fetched ahead of time, and
+//   ones it dropped are evicted
+// • Video (range requests) and /api/events pass straight through
+//
+// Service workers need a secure origin: http://localhost works as is; for a
+// kiosk pointing at http://<server>:3000 start Chromium with
+//   --unsafely-treat-insecure-origin-as-secure=http://<server>:3000
+// ------------------------------------------------------------
+const VERSION = "v1";
+const SHELL = `kiosk-shell-${VERSION}`;
+const API = `kiosk-api-${VERSION}`;
+const MEDIA = `kiosk-media-${VERSION}`;
+const SHELL_URLS = ["/", "/index.html"];
+const NETWORK_TIMEOUT_MS = 8000;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL)
+      .then((c) => c.addAll(SHELL_URLS))
+      .catch(() => {})
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL, API, MEDIA];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => !keep.includes(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function timeout(promise, ms) {
+  return Promise.race([promise, new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), ms))]);
+}
+
+async function markOffline(response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Kiosk-Offline", "1");
+  return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+// Network first; on failure the cached copy, flagged as offline.
+async function networkFirst(request, cacheName, onFresh) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await timeout(fetch(request), NETWORK_TIMEOUT_MS);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      if (onFresh) onFresh(response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+    if (cached) return markOffline(cached);
+    throw err;
+  }
+}
+
+// Cached copy right away; refresh it behind the scenes (a cheap ETag 304 when
+// unchanged) so a photo replaced under the same name shows up next time round.
+async function cacheFirst(request, event) {
+  const cache = await caches.open(MEDIA);
+  const cached = await cache.match(request);
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok && response.status === 200) await cache.put(request, response.clone());
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Image URLs a slideshow response points at (frames, stills, mux children).
+function mediaUrls(show) {
+  const urls = new Set();
+  const isImage = (u) => /\.(jpe?g|png|gif|webp|avif|tiff?|heic)$/i.test(u);
+  for (const s of show.slides || []) {
+    for (const f of s.frames || []) urls.add(f);
+    if (s.url && s.url.startsWith("/") && isImage(s.url)) urls.add(s.url);
+    if (!s.url && s.file && !s.file.includes("*") && isImage(s.file)) urls.add(`/photos/${s.file}`);
+  }
+  return [...urls].map((u) => new URL(u, self.location.origin).href);
+}
+
+// Fetch what the new playlist needs, then drop media nothing references any more.
+async function warmMedia(response) {
+  try {
+    const urls = mediaUrls(await response.json());
+    const cache = await caches.open(MEDIA);
+    for (const url of urls) {
+      if (!(await cache.match(url))) await cache.add(url).catch(() => {});
+    }
+    // Mux children load their frames through /api/frames; those stay wanted too
+    const wanted = new Set(urls);
+    const api = await caches.open(API);
+    for (const request of await api.keys()) {
+      if (new URL(request.url).pathname !== "/api/frames") continue;
+      const { frames = [] } = await (await api.match(request)).json().catch(() => ({}));
+      for (const f of frames) wanted.add(new URL(f, self.location.origin).href);
+    }
+    for (const request of await cache.keys()) {
+      if (!wanted.has(request.url) && new URL(request.url).pathname.startsWith("/cache/")) await cache.delete(request);
+    }
+  } catch {
+    // best effort — playback never waits on this
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  const p = url.pathname;
+
+  if (p === "/api/events" || p.startsWith("/admin") || request.headers.has("range")) return;
+  if (/\.(mp4|m4v|mov|webm|mkv)$/i.test(p)) return;
+
+  if (request.mode === "navigate" || SHELL_URLS.includes(p)) {
+    event.respondWith(networkFirst(request, SHELL));
+  } else if (p === "/api/slideshow") {
+    event.respondWith(networkFirst(request, API, (fresh) => event.waitUntil(warmMedia(fresh))));
+  } else if (p === "/api/frames" || p === "/api/image" || p.startsWith("/pages/") || p.startsWith("/api/weather")) {
+    event.respondWith(networkFirst(request, API));
+  } else if (p.startsWith("/cache/") || p.startsWith("/photos/")) {
+    event.respondWith(cacheFirst(request, event));
+  }
+});
@@ -0,0 +1,54 @@
+// ------------------------------------------------------------
+// 🚦 Rate limits – fixed windows, in memory
+// ------------------------------------------------------------
+// createRateLimit({ windowMs, max }).take(key) counts one request for key
+// and says whether it still fits the current window. rateLimited() wraps
+// that as Express middleware keyed by client IP, answering 429 with
+// Retry-After once a client is over. max = 0 turns a limit off.
+// ------------------------------------------------------------
+
+export function createRateLimit({ windowMs = 60 * 1000, max = 60 } = {}) {
+  const windows = new Map(); // key → { count, reset }
+  let rejected = 0;
+
+  // Forget finished windows so one-off visitors do not pile up
+  function sweep(now) {
+    for (const [key, w] of windows) if (w.reset <= now) windows.delete(key);
+  }
+
+  // → { ok, remaining, retryAfter (seconds), first (first refusal this window) }
+  function take(key = "") {
+    if (!max) return { ok: true, remaining: Infinity, retryAfter: 0 };
+    const now = Date.now();
+    if (windows.size > 1000) sweep(now);
+    let w = windows.get(key);
+    if (!w || w.reset <= now) windows.set(key, (w = { count: 0, reset: now + windowMs }));
+    const retryAfter = Math.ceil((w.reset - now) / 1000);
+    if (w.count >= max) {
+      rejected++;
+      const first = !w.refused;
+      w.refused = true;
+      return { ok: false, remaining: 0, retryAfter, first };
+    }
+    w.count++;
+    return { ok: true, remaining: max - w.count, retryAfter };
+  }
+
+  return {
+    take,
+    status: () => ({ window_s: windowMs / 1000, max, tracked: windows.size, rejected }),
+  };
+}
+
+export function rateLimited(limit, { label = "requests", log } = {}) {
+  return (req, res, next) => {
+    const { ok, remaining, retryAfter, first } = limit.take(req.ip);
+    if (ok) {
+      if (Number.isFinite(remaining)) res.set("RateLimit-Remaining", String(remaining));
+      return next();
+    }
+    if (first) log?.(`🚦 Too many ${label} from ${req.ip} — retry in ${retryAfter}s`);
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: `Too many ${label}; try again in ${retryAfter}s` });
+  };
+}
@@ -0,0 +1,97 @@
+// ------------------------------------------------------------
+// 🎮 Remote control – push playback commands to kiosks
+// ------------------------------------------------------------
+// POST /api/clients/:id/command sends a `command` event down the kiosk's
+// /api/events stream (":id" may be "all"). The player acts on it and sends
+// an immediate heartbeat carrying { ack: { id, ok, error } }; the POST
+// waits briefly for those acks and answers with each kiosk's new state.
+//
+//   { "command": "next" }                       skip ahead
+//   { "command": "previous" }
+//   { "command": "pause" }  /  { "command": "resume" }
+//   { "command": "goto", "slide": "kitchen_after", "pause": true }
+//   { "command": "goto", "index": 3 }
+//   { "command": "playlist", "playlist": "pi4office" }   another client's list
+//   { "command": "playlist", "slides": ["bath_before", "bath_after"] }
+//   { "command": "reset" }                      back to the kiosk's own playlist
+//   { "command": "reload" }                     reload the player page
+// ------------------------------------------------------------
+import crypto from "crypto";
+
+export const COMMANDS = ["next", "previous", "pause", "resume", "goto", "playlist", "reset", "reload"];
+export const ALL_CLIENTS = "all";
+const ACK_WAIT_MS = 5000;
+const MAX_WAIT_MS = 30000;
+
+function commandError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Validated { command, ...args } from a request body; throws with status 400.
+export function parseCommand(body, config) {
+  const { command } = body || {};
+  if (!COMMANDS.includes(command)) throw commandError(`command must be one of: ${COMMANDS.join(", ")}`);
+  const slideIds = new Set((config.slides || []).map((s) => s.id));
+
+  if (command === "goto") {
+    const { slide, index } = body;
+    if (slide == null && index == null) throw commandError("goto needs slide or index");
+    if (slide != null && !slideIds.has(slide)) throw commandError(`Unknown slide "${slide}"`);
+    if (index != null && !(Number.isInteger(index) && index >= 0))
+      throw commandError("index must be a whole number ≥ 0");
+    return { command, slide: slide ?? null, index: index ?? null, pause: !!body.pause };
+  }
+  if (command === "playlist") {
+    const { playlist, slides } = body;
+    if (playlist != null) {
+      if (playlist !== "default" && !(config.clients || {})[playlist])
+        throw commandError(`Unknown playlist "${playlist}"`);
+      return { command, playlist };
+    }
+    if (!Array.isArray(slides) || !slides.length) throw commandError("playlist needs playlist or slides");
+    const unknown = slides.filter((id) => !slideIds.has(id));
+    if (unknown.length) throw commandError(`Unknown slide(s): ${unknown.join(", ")}`);
+    return { command, slides };
+  }
+  return { command };
+}
+
+export function createRemoteControl({ events, log }) {
+  const waiting = new Map(); // command id → { pending: Set, acks: {}, done }
+
+  // Send to one client id or ALL_CLIENTS; resolves once every reached kiosk
+  // acked or waitMs passed → { id, sent: [...], acks: { clientId: ack } }
+  function send(target, cmd, { waitMs = ACK_WAIT_MS } = {}) {
+    const id = crypto.randomUUID();
+    const match = (clientId) => target === ALL_CLIENTS || clientId === target;
+    const sent = [...new Set(events.connected().filter(match))];
+    events.broadcast("command", { id, ...cmd }, match);
+    log(`🎮 ${cmd.command} → ${target} (${sent.length} connected)`);
+    if (!sent.length) return Promise.resolve({ id, sent, acks: {} });
+
+    return new Promise((resolve) => {
+      const entry = { pending: new Set(sent), acks: {} };
+      const finish = () => {
+        clearTimeout(timer);
+        waiting.delete(id);
+        resolve({ id, sent, acks: entry.acks });
+      };
+      const timer = setTimeout(finish, Math.min(Math.max(waitMs, 0), MAX_WAIT_MS));
+      entry.done = finish;
+      waiting.set(id, entry);
+    });
+  }
+
+  // Called from the heartbeat route with the beat's ack field.
+  function acknowledge(clientId, ack) {
+    const entry = ack && waiting.get(ack.id);
+    if (!entry || !entry.pending.has(clientId)) return;
+    entry.acks[clientId] = { ok: ack.ok !== false, error: ack.error ? String(ack.error).slice(0, 300) : null };
+    entry.pending.delete(clientId);
+    if (!entry.pending.size) entry.done();
+  }
+
+  return { send, acknowledge };
+}
@@ -0,0 +1,64 @@
+// ------------------------------------------------------------
+// 🧱 Safe paths – user-supplied files and globs stay under photos/
+// ------------------------------------------------------------
+// photoPath(root, rel)      relative file → absolute path inside root
+//                           (400 for absolute paths, ".." and NUL)
+// fileError(rel)           why a relative file path is not allowed, or ""
+// patternError(pattern)     why a glob is not allowed, or ""
+// safeGlob(root, pattern)   sorted matches (files only) for an allowed glob
+//
+// Allowed globs are plain relative paths with *, ? and [...] classes, e.g.
+// kitchen_during/*.JPG or shots/IMG_0[1-5]??.jpg — no "**", no braces or
+// extglobs, no hidden files.
+// ------------------------------------------------------------
+import path from "path";
+import { glob } from "glob";
+
+export const MAX_GLOB_MATCHES = 5000;
+const MAX_PATTERN_LENGTH = 256;
+const PATTERN_RE = /^[\w\-. /*?[\]]+$/;
+
+function pathError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Resolve a relative path under root, or null if it escapes.
+export function resolveInside(root, rel) {
+  const abs = path.resolve(root, String(rel || "").replace(/^[\\/]+/, ""));
+  return abs === root || abs.startsWith(root + path.sep) ? abs : null;
+}
+
+// Reasons a relative path is refused (shared by files and patterns)
+export function fileError(rel) {
+  if (typeof rel !== "string" || !rel) return "is empty";
+  if (rel.includes("\0")) return "contains a NUL byte";
+  if (path.isAbsolute(rel) || /^[\\/]|^[a-z]:/i.test(rel)) return "must be relative to photos/";
+  if (rel.split(/[\\/]/).includes("..")) return 'must not contain ".."';
+  return "";
+}
+
+export function photoPath(root, rel) {
+  const why = fileError(rel);
+  const abs = !why && resolveInside(root, rel);
+  if (!abs || abs === root) throw pathError(`Invalid path "${String(rel ?? "").slice(0, 100)}": ${why || "outside photos/"}`);
+  return abs;
+}
+
+export function patternError(pattern) {
+  const why = fileError(pattern);
+  if (why) return why;
+  if (pattern.length > MAX_PATTERN_LENGTH) return `is longer than ${MAX_PATTERN_LENGTH} characters`;
+  if (!PATTERN_RE.test(pattern)) return "may only use letters, digits, - _ . / space, * ? and [...]";
+  if (pattern.includes("**")) return 'must not use "**" (name each folder)';
+  if (pattern.split("/").some((part) => part.startsWith("."))) return "must not match hidden files";
+  return "";
+}
+
+export async function safeGlob(root, pattern, { limit = MAX_GLOB_MATCHES } = {}) {
+  const why = patternError(pattern);
+  if (why) throw pathError(`Invalid pattern "${String(pattern ?? "").slice(0, 100)}": ${why}`);
+  const matches = await glob(pattern, { cwd: root, nodir: true, dot: false, follow: false });
+  return matches.sort().slice(0, limit);
+}
@@ -0,0 +1,206 @@
+// ------------------------------------------------------------
+// 🗓️ Schedules – weekday/time windows, date ranges, holidays
+// ------------------------------------------------------------
+// A schedule (per slide or per client) looks like:
+//
+//   schedule:
+//     days: mon-fri            # or [mon, wed], weekdays, weekends
+//     from: "07:00"            # local time, 24h
+//     to: "10:00"              # to < from wraps past midnight
+//     start: 2025-10-01        # optional date range (inclusive)
+//     end: 2025-12-31
+//     except: [holidays, 2025-11-28, 12-24]   # dates, MM-DD yearly, or
+//                                             # "holidays" (top-level list)
+//
+// `schedule:` may also be a list of such windows; any match is active.
+// Times are evaluated in config.yaml `timezone:` (else the server's TZ).
+// ------------------------------------------------------------
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DAY_ALIASES = {
+  weekdays: ["mon", "tue", "wed", "thu", "fri"],
+  weekends: ["sat", "sun"],
+  daily: DAY_NAMES,
+};
+const WINDOW_KEYS = ["days", "from", "to", "start", "end", "except"];
+
+// --- Parsing helpers ---
+function toDateStr(v) {
+  // js-yaml turns unquoted 2025-10-01 into a Date
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  return String(v ?? "").trim();
+}
+
+function parseTime(v) {
+  if (v == null || v === "") return null;
+  // YAML 1.1 tools may emit 7:00 as sexagesimal minutes (420)
+  if (typeof v === "number") return v;
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(v).trim());
+  if (!m || +m[1] > 24 || +m[2] > 59) return NaN;
+  return +m[1] * 60 + +m[2];
+}
+
+function parseDays(v) {
+  if (v == null) return null;
+  const out = new Set();
+  for (const raw of Array.isArray(v) ? v : String(v).split(",")) {
+    const tok = String(raw).trim().toLowerCase();
+    if (DAY_ALIASES[tok]) {
+      DAY_ALIASES[tok].forEach((d) => out.add(DAY_NAMES.indexOf(d)));
+      continue;
+    }
+    const range = tok.split("-").map((t) => DAY_NAMES.indexOf(t.slice(0, 3)));
+    if (range.some((d) => d < 0) || range.length > 2) return undefined;
+    if (range.length === 1) out.add(range[0]);
+    else for (let d = range[0]; ; d = (d + 1) % 7) {
+      out.add(d);
+      if (d === range[1]) break;
+    }
+  }
+  return out;
+}
+
+function windows(schedule) {
+  if (!schedule) return [];
+  return Array.isArray(schedule) ? schedule : [schedule];
+}
+
+// Returns an error string, or "" when the schedule is well-formed.
+export function scheduleError(schedule) {
+  for (const [i, w] of windows(schedule).entries()) {
+    const at = Array.isArray(schedule) ? `[${i}] ` : "";
+    if (!w || typeof w !== "object" || Array.isArray(w)) return `${at}must be a mapping`;
+    const extra = Object.keys(w).filter((k) => !WINDOW_KEYS.includes(k));
+    if (extra.length) return `${at}unknown key ${extra.join(", ")} (use ${WINDOW_KEYS.join(", ")})`;
+    if (w.days != null && parseDays(w.days) === undefined) return `${at}days: unrecognized day in "${w.days}"`;
+    for (const k of ["from", "to"]) {
+      if (Number.isNaN(parseTime(w[k]))) return `${at}${k}: must be "HH:MM"`;
+    }
+    for (const k of ["start", "end"]) {
+      if (w[k] != null && !/^\d{4}-\d{2}-\d{2}$/.test(toDateStr(w[k]))) return `${at}${k}: must be YYYY-MM-DD`;
+    }
+    if (w.except != null && !Array.isArray(w.except)) return `${at}except: must be a list`;
+    for (const d of w.except || []) {
+      const s = toDateStr(d);
+      if (s !== "holidays" && !/^(\d{4}-)?\d{2}-\d{2}$/.test(s))
+        return `${at}except: "${s}" is not YYYY-MM-DD, MM-DD or holidays`;
+    }
+  }
+  return "";
+}
+
+// ------------------------------------------------------------
+// 🕰️ Local wall-clock in the configured timezone
+// ------------------------------------------------------------
+const formatters = new Map();
+
+export function localParts(date, timeZone) {
+  const key = timeZone || "";
+  if (!formatters.has(key)) {
+    formatters.set(
+      key,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone || undefined,
+        hourCycle: "h23",
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  const p = Object.fromEntries(formatters.get(key).formatToParts(date).map((x) => [x.type, x.value]));
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    monthDay: `${p.month}-${p.day}`,
+    weekday: DAY_NAMES.indexOf(p.weekday.toLowerCase().slice(0, 3)),
+    minutes: +p.hour * 60 + +p.minute,
+    seconds: +p.second,
+  };
+}
+
+// Local wall-clock of t (ms) as if it were UTC ms, for offset arithmetic
+function wallMs(t, timeZone) {
+  const local = localParts(new Date(t), timeZone);
+  return Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000 + local.seconds * 1000;
+}
+
+// Instant the local clock first reads `minutes` past midnight on `date`
+// (YYYY-MM-DD). Works out the UTC offset of that day rather than adding
+// ms to midnight, so DST days get 23 or 25 hours.
+function zonedInstant(date, minutes, timeZone) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+  const offset = (t) => wallMs(t, timeZone) - t;
+  const [a, b] = [wall - offset(wall - 86400000), wall - offset(wall + 86400000)].sort((x, y) => x - y);
+  if (wallMs(a, timeZone) === wall) return a; // twice on fall-back days: the first one
+  if (wallMs(b, timeZone) === wall) return b;
+  // Skipped by spring-forward: the first minute the clock is past it
+  let lo = a;
+  let hi = b;
+  while (hi - lo > 60000) {
+    const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+    if (wallMs(mid, timeZone) >= wall) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+function dayMatches(w, local, holidays) {
+  if (w.start != null && local.date < toDateStr(w.start)) return false;
+  if (w.end != null && local.date > toDateStr(w.end)) return false;
+  const days = parseDays(w.days);
+  if (days && !days.has(local.weekday)) return false;
+  for (const d of w.except || []) {
+    const s = toDateStr(d);
+    const list = s === "holidays" ? holidays.map(toDateStr) : [s];
+    if (list.some((x) => x === local.date || x === local.monthDay)) return false;
+  }
+  return true;
+}
+
+function windowActive(w, local, yesterday, holidays) {
+  const from = parseTime(w.from) ?? 0;
+  const to = parseTime(w.to) ?? 24 * 60;
+  if (from <= to) return dayMatches(w, local, holidays) && local.minutes >= from && local.minutes < to;
+  // Overnight window: the late part belongs to today, the early part to yesterday's window
+  if (local.minutes >= from) return dayMatches(w, local, holidays);
+  return local.minutes < to && dayMatches(w, yesterday, holidays);
+}
+
+// ctx: { timezone, holidays }
+export function isActive(schedule, now = new Date(), ctx = {}) {
+  const list = windows(schedule);
+  if (!list.length) return true;
+  const local = localParts(now, ctx.timezone);
+  const yesterday = localParts(new Date(now.getTime() - 24 * 60 * 60 * 1000), ctx.timezone);
+  return list.some((w) => windowActive(w, local, yesterday, ctx.holidays || []));
+}
+
+// Next instant any of the given schedules can flip state: a from/to time or
+// local midnight (day, date-range and holiday rules change there). Returns
+// null when nothing is scheduled.
+export function nextBoundary(schedules, now = new Date(), ctx = {}) {
+  const marks = new Set();
+  for (const s of schedules) {
+    for (const w of windows(s)) {
+      for (const t of [parseTime(w.from), parseTime(w.to)]) if (t != null && !Number.isNaN(t)) marks.add(t % 1440);
+      marks.add(0);
+    }
+  }
+  if (!marks.size) return null;
+
+  // Every mark recurs daily (midnight included), so today and tomorrow suffice
+  const today = localParts(now, ctx.timezone).date;
+  const tomorrow = new Date(Date.parse(`${today}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+  let best = Infinity;
+  for (const date of [today, tomorrow]) {
+    for (const m of marks) {
+      const t = zonedInstant(date, m, ctx.timezone);
+      if (t > now.getTime() && t < best) best = t;
+    }
+  }
+  return new Date(best);
+}
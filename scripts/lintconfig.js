@@ -0,0 +1,46 @@
+// -------------------------------------------
+// scripts/lintconfig.js
+// Validate config.yaml against the slide schema
+// Run via: make lint-config [CONFIG=path/to/config.yaml]
+// -------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { checkConfig, formatIssue } from "../configschema.js";
+
+// The repo root, wherever the script is run from
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const CONFIG_PATH = path.resolve(process.argv[2] || path.join(ROOT_DIR, "config.yaml"));
+const PHOTOS_DIR = path.join(ROOT_DIR, "photos");
+
+function main() {
+  let text;
+  try {
+    text = fs.readFileSync(CONFIG_PATH, "utf8");
+  } catch (err) {
+    console.error(`❌ Cannot read ${CONFIG_PATH}: ${err.message}`);
+    process.exit(2);
+  }
+
+  let cfg;
+  try {
+    cfg = yaml.load(text);
+  } catch (err) {
+    const line = err.mark ? `:${err.mark.line + 1}` : "";
+    console.error(`❌ ${CONFIG_PATH}${line}  YAML syntax: ${err.reason || err.message}`);
+    process.exit(1);
+  }
+
+  const issues = checkConfig(cfg, { text, photosDir: PHOTOS_DIR });
+  issues.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  for (const issue of issues) console.log(formatIssue(issue, path.relative(ROOT_DIR, CONFIG_PATH)));
+
+  const errors = issues.filter((i) => i.level === "error").length;
+  const warnings = issues.length - errors;
+  console.log(`${errors ? "❌" : "✅"} ${errors} error(s), ${warnings} warning(s)`);
+  process.exit(errors ? 1 : 0);
+}
+
+main();
@@ -1,85 +1,122 @@
 // -------------------------------------------
 // scripts/precache.js
-// Pre-cache all images under ./photos
-// Run via: make pre-cache
+// Pre-cache images under ./photos through the server's image pipeline
+// Run via: make pre-cache [CLIENT=id] [SIZES=1920x1080,3840x2160] [FORMAT=webp]
+//
+//   node scripts/precache.js                     every image, 1920×1080
+//   node scripts/precache.js --client pi4office  only that client's playlist
+//   node scripts/precache.js --size 3840x2160 --size 1280x720 --format webp
+//   node scripts/precache.js --jobs 2            limit parallel resizes
 // -------------------------------------------
 
 import fs from "fs";
 import path from "path";
+import yaml from "js-yaml";
+import { parseArgs } from "util";
 import { glob } from "glob";
-import sharp from "sharp";
+import { createImageCache, isImageFile, OUTPUT_FORMATS, DEFAULT_VARIANT } from "../imagecache.js";
+import { playlistImages } from "../playlist.js";
+import { defaultConcurrency } from "../workpool.js";
 
 const __dirname = path.resolve();
 const PHOTOS_DIR = path.join(__dirname, "photos");
 const CACHE_DIR = path.join(__dirname, "cache");
 
-const MAX_WIDTH = 1920;
-const MAX_HEIGHT = 1080;
-
-fs.mkdirSync(CACHE_DIR, { recursive: true });
-
 function log(msg) {
   console.log("📦", msg);
 }
 
-async function ensureCached(filePath) {
-  const rel = path.relative(PHOTOS_DIR, filePath);
-  const dest = path.join(CACHE_DIR, rel);
-  fs.mkdirSync(path.dirname(dest), { recursive: true });
-
-  if (fs.existsSync(dest)) return; // skip if already cached
+function usage(message) {
+  console.error(`❌ ${message}`);
+  console.error("usage: precache.js [--client id] [--size WxH]... [--format webp|avif] [--jobs N] [--config path]");
+  process.exit(2);
+}
 
+function parseOptions() {
+  let args;
   try {
-    const img = sharp(filePath);
-    const meta = await img.metadata();
+    ({ values: args } = parseArgs({
+      options: {
+        client: { type: "string" },
+        size: { type: "string", multiple: true },
+        format: { type: "string" },
+        jobs: { type: "string" },
+        config: { type: "string", default: path.join(__dirname, "config.yaml") },
+      },
+    }));
+  } catch (err) {
+    usage(err.message);
+  }
 
-    if (meta.width > MAX_WIDTH || meta.height > MAX_HEIGHT) {
-      await img
-        .rotate() // prevent EXIF auto-rotation
-        .resize({
-          width: Math.min(meta.width, MAX_WIDTH),
-          height: Math.min(meta.height, MAX_HEIGHT),
-          fit: "inside",
-          withoutEnlargement: true,
-        })
-        .withMetadata() // clear EXIF orientation tag
-        .toFile(dest);
-      log(`Resized ${rel}`);
-    } else {
-      fs.copyFileSync(filePath, dest);
-    }
+  const sizes = (args.size || []).flatMap((s) => s.split(",")).filter(Boolean);
+  const format = args.format && args.format !== "original" ? args.format : null;
+  if (format && !OUTPUT_FORMATS[format]) usage(`Unknown format "${format}" (${Object.keys(OUTPUT_FORMATS).join(", ")})`);
+  const variants = (sizes.length ? sizes : [`${DEFAULT_VARIANT.width}x${DEFAULT_VARIANT.height}`]).map((s) => {
+    const m = /^(\d+)x(\d+)$/i.exec(s.trim());
+    if (!m) usage(`Bad --size "${s}" (expected WxH, e.g. 1920x1080)`);
+    return { width: Number(m[1]), height: Number(m[2]), format };
+  });
+  const jobs = args.jobs ? Number(args.jobs) : defaultConcurrency();
+  if (!(jobs >= 1)) usage(`Bad --jobs "${args.jobs}"`);
+  return { client: args.client, config: args.config, variants, jobs: Math.floor(jobs) };
+}
+
+async function listImages({ client, config }) {
+  if (!client) {
+    return (await glob("**/*", { cwd: PHOTOS_DIR, nodir: true }))
+      .filter(isImageFile)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+  let cfg;
+  try {
+    cfg = yaml.load(fs.readFileSync(config, "utf8")) || {};
   } catch (err) {
-    console.error(`⚠️ Error caching ${filePath}:`, err.message);
+    console.error(`❌ Cannot load ${config}: ${err.message.split("\n")[0]}`);
+    process.exit(2);
   }
+  if (!cfg.clients?.[client]) console.warn(`⚠️ No client "${client}" in ${config} — using the default playlist`);
+  const files = await playlistImages(cfg, client, PHOTOS_DIR);
+  const missing = files.filter((f) => !fs.existsSync(path.join(PHOTOS_DIR, f)));
+  for (const f of missing) console.warn(`⚠️ ${f} is in the playlist but not under ./photos`);
+  return files.filter((f) => !missing.includes(f));
 }
 
 async function main() {
-  console.log("🔧 Scanning all images under ./photos...");
-
-  // Collect and sort all image files
-  const exts = ["jpg", "jpeg", "png", "gif", "webp", "tiff"];
-  const patterns = exts.map((e) => `**/*.${e}`);
-  const allFiles = (
-    await Promise.all(patterns.map((pat) => glob(pat, { cwd: PHOTOS_DIR })))
-  )
-    .flat()
-    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
-
-  if (allFiles.length === 0) {
-    console.warn("⚠️ No image files found in ./photos.");
+  const opts = parseOptions();
+  console.log(`🔧 Scanning ${opts.client ? `playlist of ${opts.client}` : "all images under ./photos"}...`);
+  const files = await listImages(opts);
+  if (files.length === 0) {
+    console.warn("⚠️ No image files found.");
     return;
   }
 
-  const start = Date.now();
-  let processed = 0;
+  const cache = createImageCache({ photosDir: PHOTOS_DIR, cacheDir: CACHE_DIR, log, concurrency: opts.jobs });
+  const names = opts.variants.map((v) => `${v.width}x${v.height}${v.format ? ` ${v.format}` : ""}`);
+  log(`${files.length} image(s) × ${names.join(", ")} with ${opts.jobs} worker(s)`);
 
-  for (const f of allFiles) {
-    await ensureCached(path.join(PHOTOS_DIR, f));
-    processed++;
-  }
+  const start = Date.now();
+  let done = 0;
+  let failed = 0;
+  const tasks = files.flatMap((f) =>
+    opts.variants.map((v) =>
+      cache
+        .cacheFile(path.join(PHOTOS_DIR, f), v)
+        .catch((err) => {
+          failed++;
+          console.error(`⚠️ Error caching ${f}:`, err.message);
+        })
+        .finally(() => {
+          done++;
+          if (done % 100 === 0) log(`${done}/${tasks.length}`);
+        })
+    )
+  );
+  await Promise.all(tasks);
+  cache.flush();
 
   const elapsed = ((Date.now() - start) / 1000).toFixed(1);
-  console.log(`✅ Cached ${processed} images in ${elapsed}s`);
+  console.log(`${failed ? "⚠️" : "✅"} Cached ${done - failed} of ${tasks.length} in ${elapsed}s`);
+  process.exit(failed ? 1 : 0);
 }
 
 main();
@@ -0,0 +1,117 @@
+// -------------------------------------------
+// scripts/timelapse.js
+// Render sequence slides to time-lapse files, as the kiosks would play them
+// Run via: make timelapse [SLIDE=id] [SIZES=1920x1080,3840x2160] [FORMAT=mp4]
+//
+//   node scripts/timelapse.js                     every sequence slide, 1920×1080
+//   node scripts/timelapse.js --slide kitchen     only that slide
+//   node scripts/timelapse.js --size 3840x2160 --format webm
+//
+// Slides with timelapse: false are skipped unless named with --slide.
+// Without ffmpeg on the PATH (or FFMPEG_PATH) renders fall back to WebP.
+// -------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+import { parseArgs } from "util";
+import { createTimelapses, timelapseFormat, ffmpegAvailable, TIMELAPSE_FORMATS } from "../timelapse.js";
+import { DEFAULT_VARIANT } from "../imagecache.js";
+
+// The repo root, wherever the script is run from
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PHOTOS_DIR = path.join(ROOT_DIR, "photos");
+const CACHE_DIR = path.join(ROOT_DIR, "cache");
+
+function log(msg) {
+  console.log("🎞️", msg);
+}
+
+function usage(message) {
+  console.error(`❌ ${message}`);
+  console.error(`usage: timelapse.js [--slide id]... [--size WxH]... [--format ${TIMELAPSE_FORMATS.join("|")}] [--config path]`);
+  process.exit(2);
+}
+
+function parseOptions() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        slide: { type: "string", multiple: true },
+        size: { type: "string", multiple: true },
+        format: { type: "string" },
+        config: { type: "string", default: path.join(ROOT_DIR, "config.yaml") },
+      },
+    }));
+  } catch (err) {
+    usage(err.message);
+  }
+
+  const format = args.format || null;
+  if (format && !TIMELAPSE_FORMATS.includes(format)) usage(`Unknown format "${format}" (${TIMELAPSE_FORMATS.join(", ")})`);
+  const sizes = (args.size || []).flatMap((s) => s.split(",")).filter(Boolean);
+  const variants = (sizes.length ? sizes : [`${DEFAULT_VARIANT.width}x${DEFAULT_VARIANT.height}`]).map((s) => {
+    const m = /^(\d+)x(\d+)$/i.exec(s.trim());
+    if (!m) usage(`Bad --size "${s}" (expected WxH, e.g. 1920x1080)`);
+    return { width: Number(m[1]), height: Number(m[2]) };
+  });
+  const ids = (args.slide || []).flatMap((s) => s.split(",")).filter(Boolean);
+  return { ids, config: args.config, variants, format };
+}
+
+function listSlides({ ids, config }) {
+  let cfg;
+  try {
+    cfg = yaml.load(fs.readFileSync(config, "utf8")) || {};
+  } catch (err) {
+    console.error(`❌ Cannot load ${config}: ${err.message.split("\n")[0]}`);
+    process.exit(2);
+  }
+  const sequences = (cfg.slides || []).filter((s) => s?.id && typeof s.file === "string" && s.file.includes("*"));
+  if (!ids.length) return sequences.filter((s) => s.timelapse !== false);
+  for (const id of ids) if (!sequences.some((s) => s.id === id)) usage(`No sequence slide "${id}" in ${config}`);
+  return sequences.filter((s) => ids.includes(s.id));
+}
+
+async function main() {
+  const opts = parseOptions();
+  const slides = listSlides(opts);
+  if (slides.length === 0) {
+    console.warn("⚠️ No sequence slides to render.");
+    return;
+  }
+  if (!(await ffmpegAvailable())) console.warn("⚠️ ffmpeg not found — rendering animated WebP instead");
+
+  const timelapses = createTimelapses({ photosDir: PHOTOS_DIR, cacheDir: CACHE_DIR, log: console.log });
+  const start = Date.now();
+  let done = 0;
+  let skipped = 0;
+  let failed = 0;
+  for (const slide of slides) {
+    const format = opts.format || timelapseFormat(slide, process.env.KIOSK_TIMELAPSE ?? "mp4") || "mp4";
+    for (const v of opts.variants) {
+      try {
+        const info = await timelapses.render(slide, v, format);
+        log(`${slide.id} → ${info.url} (${info.width}x${info.height}, ${info.duration.toFixed(1)}s, ${(info.bytes / 1048576).toFixed(1)} MB)`);
+        done++;
+      } catch (err) {
+        if (err.status === 404) {
+          skipped++;
+          console.warn(`⚠️ ${slide.id}: ${err.message}`);
+          break;
+        }
+        failed++;
+        console.error(`⚠️ Error rendering ${slide.id} at ${v.width}x${v.height}:`, err.message);
+      }
+    }
+  }
+
+  const elapsed = ((Date.now() - start) / 1000).toFixed(1);
+  const empty = skipped ? ` (${skipped} slide(s) without frames skipped)` : "";
+  console.log(`${failed ? "⚠️" : "✅"} Rendered ${done} of ${done + failed} in ${elapsed}s${empty}`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
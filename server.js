@@ -4,15 +4,36 @@
 import express from "express";
 import path from "path";
 import fs from "fs";
-import yaml from "js-yaml";
 import os from "os";
 import morgan from "morgan";
 import dotenv from "dotenv";
 import { fileURLToPath } from "url";
 import { minimatch } from "minimatch";
-import { glob } from "glob";
-import sharp from "sharp";
-import { createWeatherRouter } from "./weatherapi.js"; // ✅ modular import
+import { createWeatherService, createWeatherRouter } from "./weatherapi.js"; // ✅ modular import
+import { resolveClient, rememberClient } from "./clientid.js";
+import { createConfigStore } from "./configstore.js";
+import { slideType } from "./configschema.js";
+import { isActive, nextBoundary } from "./schedule.js";
+import { createConfigWriter } from "./configwriter.js";
+import { createAdminRouter } from "./adminapi.js";
+import { adminCredentials, requireAdmin, isAdmin, accessToken, requireAccess } from "./auth.js";
+import { createImageCache, pickVariant, isImageFile, DEFAULT_VARIANT } from "./imagecache.js";
+import { photoPath, safeGlob } from "./safepath.js";
+import { createRateLimit } from "./ratelimit.js";
+import { createPhotoStore, createPhotoRouter } from "./photoapi.js";
+import { createEventHub } from "./events.js";
+import { clientEntry } from "./playlist.js";
+import { resolveCaption, needsCaptureDate } from "./captions.js";
+import { probeDuration, isVideoFile } from "./videoprobe.js";
+import { createClientRegistry, HEARTBEAT_SECONDS } from "./clientregistry.js";
+import { createSlideRenderer } from "./slidesnap.js";
+import { createRemoteControl, parseCommand, ALL_CLIENTS } from "./remotecontrol.js";
+import { createPlayLog, toCsv, SUMMARY_KEYS } from "./playlog.js";
+import { createAlertWatcher, weatherPageUrl } from "./weatherslides.js";
+import { createFeedService, createFeedRouter } from "./feeds.js";
+import { createAlbums, createAlbumWatcher, albumPattern, REDEAL_SELECTS } from "./albums.js";
+import { createTimelapses, timelapseFormat, TIMELAPSE_FORMATS } from "./timelapse.js";
+import { syncGroup, wallVariant } from "./syncwall.js";
 
 // ------------------------------------------------------------
 // 🧭 Environment setup
@@ -23,9 +44,27 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 
 const PORT = process.env.KIOSK_PORT || process.env.PORT || 3000;
-const CLIENT_ID = process.env.CLIENT_ID || os.hostname() || "default-client";
+// Fallback client when a request names none (per-request ids win, see clientid.js)
+const CLIENT_ID = process.env.CLIENT_ID || os.hostname() || "default";
 const OPENWEATHER_KEY =
   process.env.KIOSK_OPENWEATHER_KEY || process.env.OPENWEATHER_KEY || "";
+// openweather | nws | mock; unset = OpenWeather with a key, else NWS (no key, US only)
+const WEATHER_PROVIDER = process.env.KIOSK_WEATHER_PROVIDER || "";
+// Modern formats to serve (in preference order) when the browser says it decodes them
+const IMAGE_FORMATS = (process.env.KIOSK_IMAGE_FORMATS ?? "webp,avif")
+  .split(",")
+  .map((f) => f.trim().toLowerCase())
+  .filter(Boolean);
+// Upper bound for cache/ (least recently used files are evicted); 0 = unlimited
+const CACHE_MAX_MB = Number(process.env.KIOSK_CACHE_MAX_MB ?? 2048);
+const CACHE_PRUNE_MS = 60 * 60 * 1000;
+// Days of play log kept under logs/plays/; 0 = forever
+const PLAYLOG_DAYS = Number(process.env.KIOSK_PLAYLOG_DAYS ?? 365);
+// /api/weather requests per minute from one IP, and upstream lookups per hour overall; 0 = no cap
+const WEATHER_RATE = Number(process.env.KIOSK_WEATHER_RATE ?? 60);
+const WEATHER_UPSTREAM_PER_HOUR = Number(process.env.KIOSK_WEATHER_UPSTREAM_PER_HOUR ?? 300);
+// Sequences play as one rendered file: mp4 | webm | webp | off (slides override with timelapse:)
+const TIMELAPSE_FORMAT = (process.env.KIOSK_TIMELAPSE ?? "mp4").trim().toLowerCase();
 
 // ------------------------------------------------------------
 // 📂 Directory setup
@@ -33,6 +72,8 @@ const OPENWEATHER_KEY =
 const PHOTOS_DIR = path.join(__dirname, "photos");
 const CACHE_DIR = path.join(__dirname, "cache");
 const LOG_DIR = path.join(__dirname, "logs");
+// Config backups and the last good copy: mounted, and untouched by make cache-clean
+const BACKUP_DIR = path.join(__dirname, "backups");
 fs.mkdirSync(LOG_DIR, { recursive: true });
 fs.mkdirSync(CACHE_DIR, { recursive: true });
 
@@ -41,6 +82,8 @@ fs.mkdirSync(CACHE_DIR, { recursive: true });
 // ------------------------------------------------------------
 const LOG_FILE = path.join(LOG_DIR, "access.log");
 const accessStream = fs.createWriteStream(LOG_FILE, { flags: "a" });
+// ?token= values never reach the log
+morgan.token("url", (req) => (req.originalUrl || req.url).replace(/([?&]token=)[^&]*/g, "$1***"));
 app.use(morgan("combined", { stream: accessStream }));
 
 function log(msg) {
@@ -52,99 +95,223 @@ function log(msg) {
 // ⚙️ Load config.yaml
 // ------------------------------------------------------------
 const CONFIG_PATH = path.join(__dirname, "config.yaml");
-let config = {};
-try {
-  const text = fs.readFileSync(CONFIG_PATH, "utf8");
-  config = yaml.load(text);
-  if (!config.default) config.default = { include: ["*.JPG", "*.jpg", "*.png"] };
-  if (!config.clients) config.clients = {};
-  log(`✅ Loaded config.yaml from ${CONFIG_PATH}`);
-} catch (err) {
-  console.warn("⚠️ Could not load config.yaml — using defaults:", err.message);
-  config = { default: { include: ["*.JPG", "*.jpg", "*.png"] }, clients: {} };
-}
+const configStore = createConfigStore(CONFIG_PATH, log, {
+  photosDir: PHOTOS_DIR,
+  lastGoodPath: path.join(BACKUP_DIR, "config.last-good.yaml"),
+});
+let config = configStore.get();
+
+// ------------------------------------------------------------
+// 📣 Live push: reload on edit and tell every kiosk
+// ------------------------------------------------------------
+const events = createEventHub(log);
+configStore.onChange((next) => {
+  config = next;
+  const n = events.broadcast("playlist", { reason: "config", ts: Date.now() });
+  log(`📣 Config changed — notified ${n} kiosk(s)`);
+  alertWatcher.checkSafely(); // newly watched weather slides
+});
+configStore.watch();
 
 // ------------------------------------------------------------
-// 🌐 Static routes
+// 🌐 Static routes (behind KIOSK_ACCESS_TOKEN when set, see auth.js)
 // ------------------------------------------------------------
+app.use(requireAccess(accessToken(), adminCredentials(), log));
 app.use(express.static(path.join(__dirname, "public")));
-app.use("/photos", express.static(PHOTOS_DIR));
-app.use("/cache", express.static(CACHE_DIR));
+app.use("/photos", express.static(PHOTOS_DIR, { dotfiles: "deny", index: false }));
+// cache/ also holds state (clients, weather, feeds); only images and time-lapses leave it
+app.use("/cache", (req, res, next) =>
+  (isImageFile(req.path) || isVideoFile(req.path)) && !req.path.startsWith("/_meta/") ? next() : res.status(404).end()
+);
+app.use("/cache", express.static(CACHE_DIR, { dotfiles: "deny", index: false }));
 app.use("/pages", express.static(path.join(__dirname, "pages")));
 
 // ------------------------------------------------------------
 // 🔍 Helpers
 // ------------------------------------------------------------
-async function ensureCached(filePath, maxWidth = 1920, maxHeight = 1080) {
+const imageCache = createImageCache({
+  photosDir: PHOTOS_DIR,
+  cacheDir: CACHE_DIR,
+  log,
+  maxBytes: CACHE_MAX_MB * 1024 * 1024,
+});
+const { ensureCached } = imageCache;
+const timelapses = createTimelapses({
+  photosDir: PHOTOS_DIR,
+  cacheDir: CACHE_DIR,
+  log,
+  onRendered: (id) => events.broadcast("playlist", { reason: "timelapse", slides: [id], ts: Date.now() }),
+});
+
+// Deleted photos leave cache files behind; sweep at startup and hourly
+function pruneCache() {
   try {
-    const relPath = path.relative(PHOTOS_DIR, filePath);
-    const cachedPath = path.join(CACHE_DIR, relPath);
-    fs.mkdirSync(path.dirname(cachedPath), { recursive: true });
-
-    if (!fs.existsSync(cachedPath)) {
-      const image = sharp(filePath);
-      const meta = await image.metadata();
-      if (meta.width > maxWidth || meta.height > maxHeight) {
-        await image
-          .rotate(0)
-          .resize({
-            width: Math.min(meta.width, maxWidth),
-            height: Math.min(meta.height, maxHeight),
-            fit: "inside",
-            withoutEnlargement: true,
-          })
-          .withMetadata({ orientation: 1 })
-          .toFile(cachedPath);
-        log(`🖼️ Cached resized ${relPath}`);
-      } else fs.copyFileSync(filePath, cachedPath);
-    }
-    return `/cache/${relPath.replace(/\\/g, "/")}`;
+    imageCache.prune();
+    imageCache.enforceLimit();
+    timelapses.prune((config.slides || []).map((s) => s.id));
   } catch (err) {
-    console.error("⚠️ Cache error:", err);
-    return `/photos/${path.relative(PHOTOS_DIR, filePath).replace(/\\/g, "/")}`;
+    console.error("⚠️ Cache prune failed:", err);
   }
 }
+pruneCache();
+setInterval(pruneCache, CACHE_PRUNE_MS).unref();
+const photoStore = createPhotoStore({ photosDir: PHOTOS_DIR, imageCache, log });
+const albums = createAlbums({ photosDir: PHOTOS_DIR, takenAt: imageCache.takenAt });
 
-async function prepareFrames(pattern) {
-  const matches = (await glob(pattern, { cwd: PHOTOS_DIR })).sort();
+// Display the kiosk reported (?w=&h=&formats=) → size bucket + output format
+function displayVariant(query) {
+  return pickVariant({ w: query.w, h: query.h, formats: query.formats }, IMAGE_FORMATS);
+}
+
+async function prepareFrames(pattern, variant) {
+  const matches = await safeGlob(PHOTOS_DIR, pattern);
   const full = matches.map((f) => path.join(PHOTOS_DIR, f));
   const cached = [];
-  for (const f of full) cached.push(await ensureCached(f));
-  return cached;
+  for (const f of full) cached.push(await ensureCached(f, variant));
+  return { frames: cached, files: matches };
+}
+
+// Caption overlay for a slide plus what its template needs per file
+// (names for {file}/{name}, EXIF dates for {date} — one entry per frame).
+async function captionFor(slide, files = null) {
+  const caption = resolveCaption(slide, config.captions);
+  if (!caption) return null;
+  if (!files) {
+    if (!slide.file) files = [];
+    else if (slide.file.includes("*")) files = await safeGlob(PHOTOS_DIR, slide.file);
+    else files = [slide.file];
+  }
+  caption.files = files.map((f) => f.replace(/\\/g, "/"));
+  if (needsCaptureDate(caption)) {
+    caption.taken = await Promise.all(files.map((f) => imageCache.takenAt(path.join(PHOTOS_DIR, f))));
+  }
+  return caption;
 }
 
 // ------------------------------------------------------------
 // 🧩 Build slideshow JSON
 // ------------------------------------------------------------
-async function buildSlideshow(clientId) {
+function clientConfig(clientId) {
+  return clientEntry(config, clientId);
+}
+
+function scheduleContext() {
+  return { timezone: config.timezone, holidays: config.holidays || [] };
+}
+
+// Client on/off state plus the next instant any schedule in its playlist can flip.
+function scheduleStatus(clientId, now = new Date()) {
+  const clientCfg = clientConfig(clientId);
+  const ctx = scheduleContext();
+  const onAir = isActive(clientCfg.schedule, now, ctx);
+  const schedules = [clientCfg.schedule, ...(config.slides || []).map((s) => s.schedule)].filter(Boolean);
+  const next = nextBoundary(schedules, now, ctx);
+  return {
+    on_air: onAir,
+    dim: !onAir && clientCfg.outside === "dim",
+    next_change: next ? next.toISOString() : null,
+  };
+}
+
+// Remote-control override (?playlist=<client> or ?slides=a,b) → slide ids, else null
+function overrideInclude(query) {
+  if (query.slides) return String(query.slides).split(",").filter(Boolean);
+  if (query.playlist) return clientConfig(String(query.playlist)).include || config.default?.include || [];
+  return null;
+}
+
+// Weather slide → the html slide players know (alert: qualifying warnings, if watched)
+async function weatherEntry(slide) {
+  const alerts = alertWatcher.alertsFor(slide.id);
+  return {
+    id: slide.id,
+    type: "html",
+    url: weatherPageUrl(slide),
+    duration: slide.duration || 15,
+    title: slide.title || "",
+    caption: await captionFor(slide),
+    ...(alerts.length ? { alert: { event: alerts[0].event, severity: alerts[0].severity } } : {}),
+  };
+}
+
+// Feed slide → html slide on the templated feed page
+async function feedEntry(slide) {
+  return {
+    id: slide.id,
+    type: "html",
+    url: `/pages/feed.html?id=${encodeURIComponent(slide.id)}`,
+    duration: slide.duration || 15,
+    title: slide.title || "",
+    caption: await captionFor(slide),
+  };
+}
+
+// Server-side slide types the player shows as pages
+const PAGE_ENTRIES = { weather: weatherEntry, feed: feedEntry };
+
+// Album slide → one still per picked photo, all under the album's id
+async function albumEntries(slide, clientId, variant) {
+  const picked = await albums.pick(slide, clientId);
+  if (!picked.length) log(`⚠️ Album ${slide.id} has no photos in ${albumPattern(slide)}`);
+  const entries = [];
+  for (const [i, { file }] of picked.entries()) {
+    entries.push({
+      id: slide.id,
+      url: await ensureCached(path.join(PHOTOS_DIR, file), variant),
+      file,
+      effect: slide.effect || "fade",
+      ...(slide.kenburns ? { kenburns: slide.kenburns } : {}),
+      duration: slide.duration || 5,
+      title: slide.title || "",
+      caption: await captionFor(slide, [file]),
+      // redeal: the player asks for a fresh pick before the playlist loops
+      album: { index: i + 1, count: picked.length, ...(REDEAL_SELECTS.includes(slide.select) ? { redeal: true } : {}) },
+    });
+  }
+  return entries;
+}
+
+async function buildSlideshow(clientId, now = new Date(), variant = undefined, include = null) {
   const masterSlides = config.slides || [];
   const clients = config.clients || {};
   const defaultCfg = config.default || {};
-  const clientCfg = clients[clientId] || defaultCfg;
+  const clientCfg = clientConfig(clientId);
+  if (!clients[clientId] && clientId !== "default")
+    log(`❔ Unknown client "${clientId}" — using default playlist`);
 
-  const includeIds = clientCfg.include || defaultCfg.include || [];
+  const ctx = scheduleContext();
+  if (!isActive(clientCfg.schedule, now, ctx) && clientCfg.outside !== "dim") {
+    log(`🌙 ${clientId} is outside its schedule — blank screen`);
+    return [];
+  }
+  const onAir = (s) => isActive(s.schedule, now, ctx);
+
+  const includeIds = include || clientCfg.include || defaultCfg.include || [];
   const expanded = [];
 
   for (const id of includeIds.length ? includeIds : masterSlides.map((s) => s.id)) {
     const slide = masterSlides.find((s) => s.id === id);
-    if (!slide) continue;
+    if (!slide || !onAir(slide)) continue;
 
     // --- MUX container ---
     if (slide.type === "mux") {
-      expanded.push(slide);
-      const addRef = (ids, seen = new Set()) => {
-        for (const rid of ids) {
+      expanded.push({ ...slide, caption: await captionFor(slide) });
+      // Panel slides ride along marked panel_of: <mux id>; the player only shows them in the grid
+      const addRef = async (parent, seen = new Set()) => {
+        for (const rid of parent.panels.flatMap((p) => p.slides || [])) {
           if (seen.has(rid)) continue;
           const child = masterSlides.find((s) => s.id === rid);
-          if (!child) continue;
+          if (!child || !onAir(child)) continue;
           seen.add(rid);
-          expanded.push(child);
-          if (child.type === "mux" && child.panels) {
-            addRef(child.panels.flatMap((p) => p.slides || []), seen);
-          }
+          const entries =
+            child.type === "album"
+              ? await albumEntries(child, clientId, variant)
+              : [PAGE_ENTRIES[child.type] ? await PAGE_ENTRIES[child.type](child) : { ...child, caption: await captionFor(child) }];
+          expanded.push(...entries.map((e) => ({ ...e, panel_of: parent.id })));
+          if (child.type === "mux" && child.panels) await addRef(child, seen);
         }
       };
-      addRef(slide.panels.flatMap((p) => p.slides || []));
+      await addRef(slide);
       continue;
     }
 
@@ -156,10 +323,31 @@ async function buildSlideshow(clientId) {
         url: slide.url,
         duration: slide.duration || 10,
         title: slide.title || "",
+        caption: await captionFor(slide),
       });
       continue;
     }
 
+    // --- Weather (html page; on_alert slides follow the alert watcher) ---
+    if (slide.type === "weather") {
+      const entry = await weatherEntry(slide);
+      if (slide.on_alert === "only" && !entry.alert) continue;
+      expanded.push(entry);
+      continue;
+    }
+
+    // --- Feed (RSS / iCal / JSON through a page template) ---
+    if (slide.type === "feed") {
+      expanded.push(await feedEntry(slide));
+      continue;
+    }
+
+    // --- Album (photos picked from a folder on every build) ---
+    if (slide.type === "album") {
+      expanded.push(...(await albumEntries(slide, clientId, variant)));
+      continue;
+    }
+
     // --- YouTube ---
     if (slide.type === "youtube") {
       expanded.push({
@@ -168,46 +356,132 @@ async function buildSlideshow(clientId) {
         video_id: slide.video_id,
         duration: slide.duration || 30,
         title: slide.title || "",
+        caption: await captionFor(slide),
+      });
+      continue;
+    }
+
+    // --- Local video (served from /photos with range requests) ---
+    if (slideType(slide) === "video") {
+      const abs = path.join(PHOTOS_DIR, slide.file);
+      if (!fs.existsSync(abs)) {
+        log(`⚠️ Video missing for ${id}: ${slide.file}`);
+        continue;
+      }
+      const clip = await probeDuration(abs);
+      const start = slide.start || 0;
+      const played = clip || slide.end ? Math.max(0, (slide.end ?? clip) - start) : null;
+      const plays = slide.loop === true ? Infinity : slide.loop || 1;
+      // Explicit duration wins; otherwise the trimmed clip length × plays
+      let duration = slide.duration;
+      if (duration == null) duration = plays === Infinity ? "infinite" : played ? played * plays : null;
+      expanded.push({
+        id,
+        type: "video",
+        url: `/photos/${slide.file.split(path.sep).join("/")}`,
+        file: slide.file,
+        start,
+        end: slide.end ?? null,
+        clip,
+        mute: slide.mute ?? true,
+        volume: slide.volume ?? 1,
+        loop: slide.loop ?? false,
+        fit: slide.fit || "contain",
+        duration,
+        stop_after: typeof slide.duration === "number" ? slide.duration : null,
+        title: slide.title || "",
+        caption: await captionFor(slide, []),
       });
       continue;
     }
 
     // --- Multi-frame sequence ---
+    // A finished time-lapse render plays as one file; until then (or if the
+    // player cannot play it) frames come one by one, from /api/frames when
+    // the render exists.
     if (slide.file?.includes("*")) {
-      const frames = await prepareFrames(slide.file);
+      const format = timelapseFormat(slide, TIMELAPSE_FORMAT);
+      const render = format ? await timelapses.current(slide, variant, format) : null;
+      const { frames, files } = render
+        ? { frames: [], files: (await safeGlob(PHOTOS_DIR, slide.file)).filter(isImageFile) }
+        : await prepareFrames(slide.file, variant);
       expanded.push({
         id,
         frames,
         file: slide.file,
         effect: slide.effect || "animate-smooth",
         duration:
-          slide.duration || (frames.length * (slide.repeat || 1)) / (slide.fps || 10),
+          slide.duration || (files.length * (slide.repeat || 1)) / (slide.fps || 10),
         fps: slide.fps || 10,
         repeat: slide.repeat || 1,
+        ...(render
+          ? {
+              timelapse: {
+                url: render.url,
+                format: render.format,
+                duration: render.duration,
+                frames: render.frames,
+                fps: render.fps,
+              },
+            }
+          : {}),
         title: slide.title || "",
+        caption: await captionFor(slide, files),
       });
       continue;
     }
 
-    // --- Single still ---
+    // --- Single still (wall: true → this screen's region of it, see syncwall.js) ---
     if (slide.file) {
       const imgPath = path.join(PHOTOS_DIR, slide.file);
       if (fs.existsSync(imgPath)) {
-        const url = await ensureCached(imgPath);
+        const region = slide.wall ? clientCfg.region : null;
+        const url = await ensureCached(imgPath, region ? wallVariant(variant || DEFAULT_VARIANT, region) : variant);
         expanded.push({
           id,
           url,
           file: slide.file,
+          ...(region ? { region } : {}),
           effect: slide.effect || "fade",
+          ...(slide.kenburns ? { kenburns: slide.kenburns } : {}),
           duration: slide.duration || 5,
           fps: slide.fps || 10,
           repeat: slide.repeat || 1,
           title: slide.title || "",
+          caption: await captionFor(slide),
         });
       }
+      continue;
+    }
+
+    // --- Pause (blank screen) ---
+    if (slideType(slide) === "pause") {
+      expanded.push({
+        id,
+        type: "pause",
+        duration: slide.duration || 5,
+        title: slide.title || "",
+        caption: await captionFor(slide),
+      });
     }
   }
 
+  // Transitions apply to every type; the playlist's own is the fallback
+  for (const entry of expanded) {
+    const own = masterSlides.find((s) => s.id === entry.id) || {};
+    for (const key of ["transition", "transition_duration"]) {
+      const value = own[key] ?? clientCfg[key] ?? defaultCfg[key];
+      if (value != null) entry[key] = value;
+    }
+  }
+
+  // Weather slides with an active warning jump the queue
+  const urgent = expanded.filter((s) => s.alert && !s.panel_of && masterSlides.find((m) => m.id === s.id)?.on_alert === "front");
+  if (urgent.length) {
+    expanded.splice(0, expanded.length, ...urgent, ...expanded.filter((s) => !urgent.includes(s)));
+    log(`⚠️ ${clientId}: ${urgent.map((s) => `${s.id} (${s.alert.event})`).join(", ")} moved to the front`);
+  }
+
   log(`✅ Built slideshow for ${clientId}: ${expanded.length} slides total`);
   return expanded;
 }
@@ -217,28 +491,97 @@ async function buildSlideshow(clientId) {
 // ------------------------------------------------------------
 app.get("/api/slideshow", async (req, res) => {
   try {
-    const slides = await buildSlideshow(CLIENT_ID);
-    res.json({ slides });
+    const client = resolveClient(req, config, CLIENT_ID);
+    rememberClient(res, client);
+    const now = new Date();
+    const variant = displayVariant(req.query);
+    const slides = await buildSlideshow(client.id, now, variant, overrideInclude(req.query));
+    const sync = syncGroup(config, clientConfig(client.id));
+    res.json({ client: client.id, ...scheduleStatus(client.id, now), ...(sync ? { sync } : {}), variant, slides });
   } catch (err) {
     console.error("❌ Error building slideshow:", err);
     res.status(500).json({ error: "Error building slideshow" });
   }
 });
 
+// ------------------------------------------------------------
+// ⏱️ API: server clock (sync groups measure their offset against it)
+// ------------------------------------------------------------
+app.get("/api/time", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ now: Date.now() });
+});
+
+// ------------------------------------------------------------
+// 📣 API: event stream (playlist change notices)
+// ------------------------------------------------------------
+app.get("/api/events", (req, res) => {
+  const client = resolveClient(req, config, CLIENT_ID);
+  events.subscribe(req, res, client.id);
+});
+
 // ------------------------------------------------------------
 // 📸 API: frames (for wildcard sequences)
 // ------------------------------------------------------------
+// Patterns are limited to simple globs under photos/ (see safepath.js)
 app.get("/api/frames", async (req, res) => {
   const { pattern } = req.query;
   if (!pattern) return res.json({ frames: [] });
   try {
-    const matches = (await glob(pattern, { cwd: PHOTOS_DIR })).sort();
+    const matches = (await safeGlob(PHOTOS_DIR, String(pattern))).filter(isImageFile);
+    const variant = displayVariant(req.query);
     const frames = await Promise.all(
-      matches.map(async (f) => await ensureCached(path.join(PHOTOS_DIR, f)))
+      matches.map(async (f) => await ensureCached(path.join(PHOTOS_DIR, f), variant))
     );
     res.json({ frames });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ------------------------------------------------------------
+// 🎞️ API: time-lapse renders of sequence slides
+// ------------------------------------------------------------
+// GET /api/timelapse            sequence slides and what is rendered
+// GET /api/timelapse/:id        download (renders first if needed);
+//                               ?format=mp4|webm|webp, ?w=&h= for the size
+// Kiosk access renders only the slide's own format, at a display bucket size
+// (as the player would); other formats need admin. Renders run one at a time.
+const sequenceSlide = (id) => (config.slides || []).find((s) => s.id === id && s.file?.includes("*"));
+
+app.get("/api/timelapse", async (req, res) => {
+  const variant = displayVariant(req.query);
+  const slides = [];
+  for (const slide of (config.slides || []).filter((s) => s.file?.includes("*"))) {
+    const format = timelapseFormat(slide, TIMELAPSE_FORMAT);
+    let render = null;
+    try {
+      render = format ? await timelapses.current(slide, variant, format) : null;
+    } catch (err) {
+      render = { error: err.message };
+    }
+    slides.push({ id: slide.id, file: slide.file, format, render });
+  }
+  res.json({ default_format: TIMELAPSE_FORMAT, slides, ...timelapses.status() });
+});
+
+app.get("/api/timelapse/:id", async (req, res) => {
+  const slide = sequenceSlide(req.params.id);
+  if (!slide) return res.status(404).json({ error: `No sequence slide "${req.params.id}"` });
+  const configured = timelapseFormat(slide, TIMELAPSE_FORMAT);
+  const format = String(req.query.format || configured || "mp4");
+  if (!TIMELAPSE_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${TIMELAPSE_FORMATS.join(", ")}` });
+  }
+  if (format !== configured && !isAdmin(req, adminCredentials())) {
+    const own = configured ? `renders as ${configured}` : "has timelapse: false";
+    return res.status(403).json({ error: `"${slide.id}" ${own}; other formats need admin credentials` });
+  }
+  try {
+    const info = await timelapses.render(slide, displayVariant(req.query), format);
+    res.download(path.join(CACHE_DIR, info.url.replace(/^\/cache\//, "")), `${slide.id}.${info.format}`);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -249,31 +592,257 @@ app.get("/api/image", async (req, res) => {
   const { file } = req.query;
   if (!file) return res.status(400).json({ error: "Missing file" });
   try {
-    const abs = path.join(PHOTOS_DIR, file);
+    const abs = photoPath(PHOTOS_DIR, String(file));
+    if (!isImageFile(abs)) return res.status(400).json({ error: "Not an image" });
     if (!fs.existsSync(abs)) return res.status(404).json({ error: "Not found" });
-    const url = await ensureCached(abs);
+    const url = await ensureCached(abs, displayVariant(req.query));
     res.json({ url });
   } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ------------------------------------------------------------
+// 💾 API: image cache status (?list=1 adds every entry)
+// ------------------------------------------------------------
+app.get("/api/cache/status", requireAdmin(adminCredentials(), log), (req, res) => {
+  res.json({ dir: CACHE_DIR, ...imageCache.status({ list: req.query.list === "1" }) });
+});
+
+// ------------------------------------------------------------
+// 💓 API: kiosk heartbeats, registry and screenshots
+// ------------------------------------------------------------
+const registry = createClientRegistry({
+  file: path.join(CACHE_DIR, "clients.json"),
+  log,
+  isKnown: (id) => id === CLIENT_ID || Object.hasOwn(config.clients || {}, id),
+});
+const remote = createRemoteControl({ events, log });
+const snapshots = createSlideRenderer({
+  photosDir: PHOTOS_DIR,
+  library: () => config.slides,
+  captionFor: (slide) => captionFor(slide),
+});
+const SCREENSHOT_MAX_WIDTH = 1920;
+const clientList = () =>
+  registry.list({ configured: Object.keys(config.clients || {}), connected: events.connected() });
+
+app.post("/api/heartbeat", express.json({ limit: "64kb" }), (req, res) => {
+  const client = resolveClient(req, config, CLIENT_ID);
+  registry.beat(client.id, req.body, { ip: req.ip, userAgent: req.get("user-agent") });
+  remote.acknowledge(client.id, req.body?.ack);
+  res.json({ ok: true, interval: HEARTBEAT_SECONDS });
+});
+
+// Who is where and what they show is admin-only; kiosks only post heartbeats
+app.get("/api/clients", requireAdmin(adminCredentials(), log), (req, res) => {
+  res.json({ interval: HEARTBEAT_SECONDS, clients: clientList() });
+});
+
+app.get("/api/clients/:id", requireAdmin(adminCredentials(), log), (req, res) => {
+  const entry = clientList().find((c) => c.id === req.params.id);
+  if (!entry) return res.status(404).json({ error: "Unknown client" });
+  res.json(entry);
+});
+
+// Remote control (":id" = "all" for every connected kiosk); waits ?wait= seconds for acks
+app.post("/api/clients/:id/command", requireAdmin(adminCredentials(), log), express.json(), async (req, res) => {
+  try {
+    const cmd = parseCommand(req.body, config);
+    const waitMs = req.query.wait != null ? Number(req.query.wait) * 1000 : undefined;
+    const { id, sent, acks } = await remote.send(req.params.id, cmd, { waitMs });
+    if (!sent.length && req.params.id !== ALL_CLIENTS)
+      return res.status(404).json({ error: `${req.params.id} is not connected`, command_id: id });
+    const states = Object.fromEntries(clientList().filter((c) => sent.includes(c.id)).map((c) => [c.id, c]));
+    res.json({ command_id: id, command: cmd, sent, acks, pending: sent.filter((c) => !acks[c]), clients: states });
+  } catch (err) {
+    if (!err.status) console.error("❌ Command error:", err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// What the kiosk is showing now, rendered here from its slide definition (?w= to resize)
+app.get("/api/clients/:id/screenshot", requireAdmin(adminCredentials(), log), async (req, res) => {
+  const beat = registry.get(req.params.id);
+  const slide = beat && (config.slides || []).find((s) => s.id === beat.slide);
+  if (!slide) return res.status(404).json({ error: beat ? `Slide ${beat.slide} not in config` : "Unknown client" });
+  const screenW = beat.screen?.w || 1920;
+  const screenH = beat.screen?.h || 1080;
+  const width = Math.min(Number(req.query.w) || screenW, SCREENSHOT_MAX_WIDTH);
+  const height = Math.max(1, Math.round((width * screenH) / screenW));
+  try {
+    const jpeg = await snapshots.render(slide, { width, height, frame: beat.frame || 0, file: beat.file });
+    res.set("Cache-Control", "no-store").type("image/jpeg").send(jpeg);
+  } catch (err) {
+    log(`📷 Screenshot of ${req.params.id} failed: ${err.message}`);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ------------------------------------------------------------
+// 📊 API: play log (kiosks report slide start/end) and reports
+// ------------------------------------------------------------
+const playLog = createPlayLog({
+  dir: path.join(LOG_DIR, "plays"),
+  timezone: () => config.timezone,
+  keepDays: PLAYLOG_DAYS,
+  log,
+});
+playLog.prune();
+setInterval(() => playLog.prune(), 24 * 60 * 60 * 1000).unref();
+
+app.post("/api/plays", express.json({ limit: "256kb" }), (req, res) => {
+  const client = resolveClient(req, config, CLIENT_ID);
+  try {
+    res.json({ stored: playLog.record(client.id, req.body?.events) });
+  } catch (err) {
+    console.error("❌ Play log write failed:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Query: from, to (YYYY-MM-DD, default last 7 days), client, slide, format=csv
+function sendReport(res, name, { from, to, columns, rows }, format) {
+  if (format !== "csv") return res.json({ from, to, rows });
+  res.set("Content-Disposition", `attachment; filename="${name}-${from}-${to}.csv"`);
+  res.type("text/csv").send(toCsv(rows, columns));
+}
+
+// ?by=client,slide,day picks the grouping (default client,slide)
+app.get("/api/reports/plays", requireAdmin(adminCredentials(), log), (req, res) => {
+  try {
+    const by = String(req.query.by || "client,slide").split(",").filter((k) => SUMMARY_KEYS.includes(k));
+    const report = playLog.summary({ ...req.query, by });
+    sendReport(res, `plays-by-${report.by.join("-") || "all"}`, report, req.query.format);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get("/api/reports/plays/events", requireAdmin(adminCredentials(), log), (req, res) => {
+  try {
+    const report = playLog.events(req.query);
+    const columns = ["day", "at", "event", "client", "slide", "type", "parent", "seconds"];
+    sendReport(res, "play-events", { ...report, columns, rows: report.events }, req.query.format);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ------------------------------------------------------------
+// 🛠️ Admin UI + API (basic auth)
+// ------------------------------------------------------------
+const configWriter = createConfigWriter(CONFIG_PATH, {
+  backupDir: BACKUP_DIR,
+  photosDir: PHOTOS_DIR,
+  log,
+});
+app.use(
+  "/admin",
+  requireAdmin(adminCredentials(), log),
+  createAdminRouter(express, {
+    photosDir: PHOTOS_DIR,
+    cacheDir: CACHE_DIR,
+    adminDir: path.join(__dirname, "admin"),
+    configStore,
+    configWriter,
+    photoStore,
+  })
+);
+
+// ------------------------------------------------------------
+// 📤 Photo upload API (same credentials as /admin)
+// ------------------------------------------------------------
+app.use(
+  "/api/photos",
+  requireAdmin(adminCredentials(), log),
+  createPhotoRouter(express, { photosDir: PHOTOS_DIR, photoStore, imageCache })
+);
+
 // ------------------------------------------------------------
 // 🌦️ Mount modular weather API
 // ------------------------------------------------------------
-app.use("/api/weather", createWeatherRouter(express, OPENWEATHER_KEY, log));
+const weather = createWeatherService(
+  {
+    openWeatherKey: OPENWEATHER_KEY,
+    provider: WEATHER_PROVIDER,
+    // Fixture file or URL of a stand-in server for the mock provider
+    mockSource: process.env.KIOSK_WEATHER_MOCK || path.join(__dirname, "fixtures", "weather.json"),
+    // Last good answers, served (stale: true) when upstream is down
+    cacheFile: path.join(CACHE_DIR, "weather.json"),
+    // api.weather.gov asks every client to identify itself
+    userAgent: process.env.KIOSK_WEATHER_USER_AGENT || "ssg-kiosk-photo-player (github.com/vcu-ssg/ssg-kiosk-photo-player)",
+    // Keeps a runaway or hostile client from spending the OpenWeather quota
+    upstreamPerHour: WEATHER_UPSTREAM_PER_HOUR,
+  },
+  log
+);
+app.use(
+  "/api/weather",
+  createWeatherRouter(express, weather, log, { limit: createRateLimit({ windowMs: 60 * 1000, max: WEATHER_RATE }) })
+);
+
+// Kiosks rebuild their playlist when a watched weather alert starts or ends
+const alertWatcher = createAlertWatcher({
+  weather,
+  slides: () => config.slides,
+  log,
+  onChange: (ids) => {
+    const n = events.broadcast("playlist", { reason: "weather-alert", slides: ids, ts: Date.now() });
+    if (n) log(`📣 Weather alert change (${ids.join(", ")}) sent to ${n} kiosk(s)`);
+  },
+});
+alertWatcher.start();
+
+// ------------------------------------------------------------
+// 📰 Feed slides (RSS / iCal / JSON), cached like weather
+// ------------------------------------------------------------
+const feeds = createFeedService({
+  cacheFile: path.join(CACHE_DIR, "feeds.json"),
+  rootDir: __dirname, // local sources: files in fixtures/, e.g. fixtures/events.ics
+  timezone: () => config.timezone,
+  log,
+});
+app.use("/api/feeds", createFeedRouter(express, feeds, () => config.slides, log));
+
+// ------------------------------------------------------------
+// 🗂️ Album slides: new or removed photos reach kiosks at the next slide
+// ------------------------------------------------------------
+const albumWatcher = createAlbumWatcher({
+  albums,
+  slides: () => config.slides,
+  log,
+  onChange: (ids) => events.broadcast("playlist", { reason: "album", slides: ids, ts: Date.now() }),
+});
+albumWatcher.start();
 
 // ------------------------------------------------------------
 // 🚀 Start server
 // ------------------------------------------------------------
 const server = app.listen(PORT, () => {
   console.log(`📸 Photo kiosk running at http://localhost:${PORT}`);
-  console.log(`🧭 Client ID: ${CLIENT_ID}`);
+  console.log(`🧭 Fallback client ID: ${CLIENT_ID}`);
   console.log(`🪵 Log file: ${LOG_FILE}`);
-  console.log(`💾 Cache dir: ${CACHE_DIR}`);
-  console.log(`🌤️ Weather key loaded: ${!!OPENWEATHER_KEY}`);
+  console.log(`💾 Cache dir: ${CACHE_DIR} (formats: ${IMAGE_FORMATS.join(", ") || "original only"}; cap ${CACHE_MAX_MB ? `${CACHE_MAX_MB} MB` : "none"})`);
+  console.log(`🌤️ Weather: ${WEATHER_PROVIDER || (OPENWEATHER_KEY ? "openweather" : "nws")} (OpenWeather key loaded: ${!!OPENWEATHER_KEY})`);
+  const admin = adminCredentials();
+  const adminState = admin.password
+    ? `http://localhost:${PORT}/admin${admin.token ? " (API also takes KIOSK_ADMIN_TOKEN)" : ""}`
+    : admin.token
+      ? "API only, with KIOSK_ADMIN_TOKEN (set KIOSK_ADMIN_PASSWORD for the UI)"
+      : "disabled (no KIOSK_ADMIN_PASSWORD or KIOSK_ADMIN_TOKEN)";
+  console.log(`🛠️ Admin: ${adminState}`);
+  console.log(`🔐 Kiosk access: ${accessToken() ? "token required (KIOSK_ACCESS_TOKEN)" : "open to the network (no KIOSK_ACCESS_TOKEN)"}`);
 });
 
+// Cache manifest writes are batched; keep the last ones on docker stop / Ctrl-C
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => {
+    imageCache.flush();
+    process.exit(0);
+  });
+}
+
 if (server instanceof Promise) {
   server.then(() => console.log("✅ Express server listening.")).catch(console.error);
 }
@@ -0,0 +1,180 @@
+// ------------------------------------------------------------
+// 📷 Slide snapshots – server-side render of what a kiosk shows
+// ------------------------------------------------------------
+// Built from the same slide definition the player gets: photos are
+// letterboxed like the player's object-fit: contain, sequences show the
+// reported frame, mux grids are laid out cell by cell and captions are
+// drawn on top. Things only a browser can draw (web pages, live video)
+// come out as a labelled card, or a poster frame when one is available
+// (YouTube thumbnail, ffmpeg frame grab of a local clip).
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import sharp from "sharp";
+import { safeGlob, fileError } from "./safepath.js";
+import { slideType, LAYOUT_RE, SPAN_RE } from "./configschema.js";
+import { fillCaption, CAPTION_DEFAULTS } from "./captions.js";
+
+const GAP = 2;
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const FETCH_TIMEOUT_MS = 4000;
+
+const esc = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+const black = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: "#000" } }).png().toBuffer();
+
+// Labelled placeholder for slides that cannot be rasterized here.
+function card(width, height, lines) {
+  const size = Math.max(10, Math.round(height / 14));
+  const text = lines
+    .filter(Boolean)
+    .map((l, i) => `<tspan x="50%" dy="${i ? 1.4 : 0}em">${esc(l)}</tspan>`)
+    .join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="100%" height="100%" fill="#1b1e24"/>
+    <text x="50%" y="${height / 2 - size}" fill="#9aa3b2" font-family="sans-serif" font-size="${size}" text-anchor="middle">${text}</text>
+  </svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+function contain(input, width, height) {
+  return sharp(input)
+    .rotate()
+    .resize(width, height, { fit: "contain", background: "#000" })
+    .png()
+    .toBuffer();
+}
+
+function grabVideoFrame(file, at) {
+  return new Promise((resolve) => {
+    const args = ["-v", "error", "-ss", String(at || 0), "-i", file, "-frames:v", "1", "-f", "image2pipe", "-vcodec", "png", "-"];
+    execFile(FFMPEG, args, { encoding: "buffer", timeout: 10000, maxBuffer: 64 * 1024 * 1024 }, (err, stdout) =>
+      resolve(!err && stdout.length ? stdout : null)
+    );
+  });
+}
+
+async function fetchImage(url) {
+  try {
+    const r = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    return r.ok ? Buffer.from(await r.arrayBuffer()) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Grid rectangles (in cells) for each mux panel, mirroring CSS grid placement.
+export function muxCells(slide) {
+  if (Array.isArray(slide.areas)) {
+    const grid = slide.areas.map((r) => r.trim().split(/\s+/));
+    const rect = (name) => {
+      const hits = grid.flatMap((row, y) => row.map((n, x) => (n === name ? [x, y] : null))).filter(Boolean);
+      if (!hits.length) return null;
+      const xs = hits.map((h) => h[0]);
+      const ys = hits.map((h) => h[1]);
+      return { x: Math.min(...xs), y: Math.min(...ys), w: Math.max(...xs) - Math.min(...xs) + 1, h: Math.max(...ys) - Math.min(...ys) + 1 };
+    };
+    return { rows: grid.length, cols: grid[0].length, cells: slide.panels.map((p) => (p?.area ? rect(p.area) : null)) };
+  }
+  const [rows, cols] = LAYOUT_RE.test(String(slide.layout)) ? slide.layout.split("x").map(Number) : [1, 1];
+  const used = Array.from({ length: rows }, () => Array(cols).fill(false));
+  const fits = (x, y, w, h) => {
+    if (x + w > cols || y + h > rows) return false;
+    for (let j = y; j < y + h; j++) for (let i = x; i < x + w; i++) if (used[j][i]) return false;
+    return true;
+  };
+  const cells = slide.panels.map((p) => {
+    const [h, w] = SPAN_RE.test(p?.span || "") ? p.span.split("x").map(Number) : [1, 1];
+    for (let y = 0; y < rows; y++)
+      for (let x = 0; x < cols; x++)
+        if (fits(x, y, w, h)) {
+          for (let j = y; j < y + h; j++) for (let i = x; i < x + w; i++) used[j][i] = true;
+          return { x, y, w, h };
+        }
+    return null;
+  });
+  return { rows, cols, cells };
+}
+
+// library() → current slide list; captionFor(slide) → resolved caption (server.js)
+export function createSlideRenderer({ photosDir, library, captionFor }) {
+  async function captionLayer(slide, width, height, frame) {
+    const caption = await captionFor(slide);
+    if (!caption) return null;
+    const text = fillCaption(caption, slide, frame);
+    if (!text) return null;
+    const c = { ...CAPTION_DEFAULTS, ...caption };
+    const size = Math.max(8, Math.round((c.size / 100) * height));
+    const pad = size * 0.5;
+    const boxW = Math.min(width * 0.9, text.length * size * 0.6 + pad * 2);
+    const boxH = size * 1.25 + pad;
+    const [v, h = v] = c.position === "center" ? ["middle", "center"] : c.position.split("-");
+    const x = h === "left" ? width * 0.03 : h === "right" ? width * 0.97 - boxW : (width - boxW) / 2;
+    const y = v === "top" ? height * 0.04 : v === "bottom" ? height * 0.96 - boxH : (height - boxH) / 2;
+    const bg = c.background === "none" ? "none" : esc(c.background);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <rect x="${x}" y="${y}" width="${boxW}" height="${boxH}" rx="${size * 0.3}" fill="${bg}"/>
+      <text x="${x + pad}" y="${y + boxH / 2}" dominant-baseline="central" fill="${esc(c.color)}"
+        font-family="${esc(c.font)}" font-size="${size}">${esc(text)}</text>
+    </svg>`;
+    return Buffer.from(svg);
+  }
+
+  async function body(slide, width, height, frame, depth) {
+    const type = slideType(slide);
+    const file = slide.file ? path.join(photosDir, slide.file) : null;
+
+    if (type === "still" && file && fs.existsSync(file)) return contain(file, width, height);
+    if (type === "sequence") {
+      const frames = await safeGlob(photosDir, slide.file);
+      if (frames.length) return contain(path.join(photosDir, frames[frame % frames.length]), width, height);
+    }
+    if (type === "video" && file && fs.existsSync(file)) {
+      const still = await grabVideoFrame(file, slide.start);
+      if (still) return contain(still, width, height);
+    }
+    if (type === "youtube" && slide.video_id) {
+      const thumb = await fetchImage(`https://img.youtube.com/vi/${slide.video_id}/hqdefault.jpg`);
+      if (thumb) return contain(thumb, width, height);
+    }
+    if (type === "pause") return black(width, height);
+    if (type === "mux" && Array.isArray(slide.panels) && depth < 3) return mux(slide, width, height, depth);
+    return card(width, height, [type.toUpperCase(), slide.id, slide.url || slide.file || slide.folder || slide.video_id || ""]);
+  }
+
+  async function mux(slide, width, height, depth) {
+    const { rows, cols, cells } = muxCells(slide);
+    const cw = (width - GAP * (cols - 1)) / cols;
+    const ch = (height - GAP * (rows - 1)) / rows;
+    const layers = [];
+    for (const [i, cell] of cells.entries()) {
+      const panel = slide.panels[i];
+      const child = (library() || []).find((s) => s.id === panel?.slides?.[0]);
+      if (!cell || !child) continue;
+      const w = Math.max(1, Math.round(cell.w * cw + GAP * (cell.w - 1)));
+      const h = Math.max(1, Math.round(cell.h * ch + GAP * (cell.h - 1)));
+      const hide = panel.hide_caption ?? !!slide.hide_panel_titles;
+      layers.push({
+        input: await draw(child, w, h, 0, depth + 1, hide),
+        left: Math.round(cell.x * (cw + GAP)),
+        top: Math.round(cell.y * (ch + GAP)),
+      });
+    }
+    return sharp(await black(width, height)).composite(layers).png().toBuffer();
+  }
+
+  async function draw(slide, width, height, frame = 0, depth = 0, hideCaption = false) {
+    const base = await body(slide, width, height, frame, depth);
+    const caption = hideCaption ? null : await captionLayer(slide, width, height, frame);
+    return caption ? sharp(base).composite([{ input: caption }]).png().toBuffer() : base;
+  }
+
+  // → JPEG buffer of the slide at width × height; file: the album photo on screen
+  async function render(slide, { width = 1280, height = 720, frame = 0, file = null } = {}) {
+    if (slideType(slide) === "album" && file && !fileError(file)) slide = { ...slide, type: "still", file };
+    return sharp(await draw(slide, width, height, frame)).jpeg({ quality: 85 }).toBuffer();
+  }
+
+  return { render };
+}
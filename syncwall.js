@@ -0,0 +1,59 @@
+// ------------------------------------------------------------
+// 🖥️ Sync groups and video walls – screens that change slides together
+// ------------------------------------------------------------
+// clients:
+//   lobby_left:
+//     sync: lobby                        # same group → same timeline
+//     region: { x: 0, y: 0, w: 50, h: 100 }
+//   lobby_right:
+//     sync: lobby
+//     region: { x: 50, y: 0, w: 50, h: 100 }
+//
+// The timeline is the playlist laid end to end from the Unix epoch: every
+// slide holds its slot for its duration (HOLD_SECONDS when it has none, e.g.
+// "infinite" or a mux without one), so each screen works out the current
+// slide from the server clock alone — no leader, nothing to lose on restart.
+// Players measure their clock offset via /api/time and schedule every
+// boundary from the timeline, so timer drift never accumulates. Screens line
+// up slide for slide when their playlists match (the same include, or none).
+//
+// region: the part of a wall: true still this screen shows, in % of the
+// whole picture (x, y = top-left corner). Leave gaps for bezels by letting
+// neighbouring regions skip a few percent.
+// ------------------------------------------------------------
+import { pickVariant } from "./imagecache.js";
+
+export const HOLD_SECONDS = 30;
+const GROUP_RE = /^[\w.-]{1,64}$/;
+
+export function groupError(v) {
+  return typeof v === "string" && GROUP_RE.test(v) ? "" : "must be a group name (letters, digits, - _ .)";
+}
+
+export function regionError(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return "must be a mapping { x, y, w, h } in % of the picture";
+  for (const k of ["x", "y", "w", "h"]) {
+    if (typeof v[k] !== "number" || v[k] < 0 || v[k] > 100) return `${k} must be a percentage (0–100)`;
+  }
+  if (!v.w || !v.h) return "w and h must be above 0";
+  if (v.x + v.w > 100 || v.y + v.h > 100) return "must lie inside the picture (x + w and y + h at most 100)";
+  const extra = Object.keys(v).find((k) => !["x", "y", "w", "h"].includes(k));
+  return extra ? `unknown key "${extra}"` : "";
+}
+
+// → { group, members, hold } for a client in a sync group, else null
+export function syncGroup(config, entry) {
+  const group = entry?.sync;
+  if (!group) return null;
+  const members = Object.entries(config.clients || {})
+    .filter(([, e]) => e?.sync === group)
+    .map(([id]) => id);
+  return { group, members, hold: HOLD_SECONDS };
+}
+
+// Variant for a region of a wall picture: big enough that the crop still fills
+// the screen (capped at the largest display bucket)
+export function wallVariant(variant, region) {
+  const size = pickVariant({ w: (variant.width * 100) / region.w, h: (variant.height * 100) / region.h });
+  return { ...size, format: variant.format };
+}
@@ -0,0 +1,79 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAlbums, albumPattern } from "../albums.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let photosDir;
+let albums;
+// Capture times by file; IMG_10 is the newest, IMG_1 the oldest
+const taken = {};
+
+before(() => {
+  photosDir = fs.mkdtempSync(path.join(os.tmpdir(), "albums-"));
+  fs.mkdirSync(path.join(photosDir, "trip"));
+  for (let i = 1; i <= 10; i++) {
+    fs.writeFileSync(path.join(photosDir, "trip", `IMG_${i}.jpg`), "");
+    taken[`IMG_${i}.jpg`] = new Date(Date.now() - (11 - i) * DAY_MS).toISOString();
+  }
+  fs.writeFileSync(path.join(photosDir, "trip", "notes.txt"), "");
+  albums = createAlbums({ photosDir, takenAt: async (abs) => taken[path.basename(abs)] || null });
+});
+
+after(() => fs.rmSync(photosDir, { recursive: true, force: true }));
+
+const names = (list) => list.map((p) => path.basename(p.file));
+const album = (extra) => ({ id: "trip", type: "album", folder: "trip/", ...extra });
+
+test("albumPattern: folder or file", () => {
+  assert.equal(albumPattern({ folder: "trip//" }), "trip/*");
+  assert.equal(albumPattern({ folder: "trip", file: "trip/*.jpg" }), "trip/*.jpg");
+  assert.equal(albumPattern({}), "");
+});
+
+test("pick: all images, oldest first, natural name order on ties", async () => {
+  assert.deepEqual(names(await albums.pick(album())), Array.from({ length: 10 }, (_, i) => `IMG_${i + 1}.jpg`));
+  assert.deepEqual(names(await albums.pick(album({ order: "name-desc", count: 3 }))), ["IMG_10.jpg", "IMG_9.jpg", "IMG_8.jpg"]);
+});
+
+test("pick: latest takes the newest count, then orders them", async () => {
+  assert.deepEqual(names(await albums.pick(album({ select: "latest", count: 3 }))), ["IMG_8.jpg", "IMG_9.jpg", "IMG_10.jpg"]);
+  assert.deepEqual(names(await albums.pick(album({ select: "latest", count: 3, order: "newest" }))), ["IMG_10.jpg", "IMG_9.jpg", "IMG_8.jpg"]);
+});
+
+test("pick: days keeps recent captures only", async () => {
+  assert.deepEqual(names(await albums.pick(album({ days: 2.5 }))), ["IMG_9.jpg", "IMG_10.jpg"]);
+});
+
+test("pick: random draws count distinct photos", async () => {
+  const got = names(await albums.pick(album({ select: "random", count: 4 })));
+  assert.equal(got.length, 4);
+  assert.equal(new Set(got).size, 4);
+});
+
+test("deal: shuffle shows every photo once before any repeats, per kiosk", async () => {
+  const slide = album({ select: "shuffle", count: 4 });
+  const seen = [];
+  for (let loop = 0; loop < 2; loop++) seen.push(...names(await albums.pick(slide, "lobby")));
+  seen.push(...names(await albums.pick(slide, "lobby")).slice(0, 2));
+  assert.equal(new Set(seen).size, 10); // first 10 dealt: all different
+
+  // Another kiosk has its own deck
+  const other = names(await albums.pick(album({ select: "shuffle", count: 10 }), "office"));
+  assert.equal(new Set(other).size, 10);
+});
+
+test("deal: photos added mid-deck are dealt before the deck restarts", async () => {
+  const slide = album({ id: "grow", select: "shuffle", count: 5 });
+  const first = names(await albums.pick(slide, "k"));
+  fs.writeFileSync(path.join(photosDir, "trip", "IMG_11.jpg"), "");
+  try {
+    const rest = names(await albums.pick(slide, "k")).concat(names(await albums.pick(slide, "k")).slice(0, 1));
+    assert.deepEqual(new Set([...first, ...rest]).size, 11);
+    assert.ok(rest.includes("IMG_11.jpg"));
+  } finally {
+    fs.rmSync(path.join(photosDir, "trip", "IMG_11.jpg"));
+  }
+});
@@ -0,0 +1,105 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createCacheManifest, MANIFEST_FILE } from "../cachemanifest.js";
+
+let root, photosDir, cacheDir, logged;
+const params = { width: 1920, height: 1080, format: null };
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "manifest-"));
+  photosDir = path.join(root, "photos");
+  cacheDir = path.join(root, "cache");
+  fs.mkdirSync(photosDir);
+  fs.mkdirSync(cacheDir);
+  logged = [];
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const manifest = (opts = {}) => createCacheManifest({ cacheDir, photosDir, log: (m) => logged.push(m), ...opts });
+
+function photo(name, text, mtime = 1_700_000_000) {
+  const abs = path.join(photosDir, name);
+  fs.writeFileSync(abs, text);
+  fs.utimesSync(abs, mtime, mtime);
+  return abs;
+}
+
+// A cached variant of `bytes` bytes, recorded in the manifest
+async function cached(m, key, source, bytes = 100) {
+  fs.writeFileSync(path.join(cacheDir, key), Buffer.alloc(bytes));
+  await m.record(key, source, params);
+}
+
+test("isFresh: recorded variants are fresh until the source bytes change", async () => {
+  const m = manifest();
+  const src = photo("a.jpg", "original");
+  assert.equal(await m.isFresh("a.jpg", src, params), false); // never made
+  await cached(m, "a.jpg", src);
+  assert.equal(await m.isFresh("a.jpg", src, params), true);
+  assert.equal(await m.isFresh("a.jpg", src, { ...params, format: "webp" }), false); // other params
+
+  photo("a.jpg", "edited!!", 1_700_000_100); // same size, new bytes and mtime
+  assert.equal(await m.isFresh("a.jpg", src, params), false);
+});
+
+test("isFresh: a touched but identical source stays fresh", async () => {
+  const m = manifest();
+  const src = photo("a.jpg", "original");
+  await cached(m, "a.jpg", src);
+  photo("a.jpg", "original", 1_700_000_500);
+  assert.equal(await m.isFresh("a.jpg", src, params), true);
+  assert.equal(m.status().since_start.regenerated, 0);
+});
+
+test("isFresh: a cached file deleted behind the manifest's back is stale", async () => {
+  const m = manifest();
+  const src = photo("a.jpg", "original");
+  await cached(m, "a.jpg", src);
+  fs.rmSync(path.join(cacheDir, "a.jpg"));
+  assert.equal(await m.isFresh("a.jpg", src, params), false);
+});
+
+test("enforceLimit: evicts least recently used first, never the file just written", async () => {
+  let now = 1000;
+  mock.method(Date, "now", () => now);
+  const m = manifest({ maxBytes: 250 });
+  const src = photo("a.jpg", "original");
+
+  await cached(m, "one.jpg", src);
+  now = 2000;
+  await cached(m, "two.jpg", src);
+  now = 3000;
+  assert.equal(await m.isFresh("one.jpg", src, params), true); // one is now newer than two
+  assert.deepEqual(logged, []); // 200 of 250 bytes: nothing evicted, nothing logged
+
+  now = 4000;
+  await cached(m, "three.jpg", src);
+  assert.equal(m.has("two.jpg"), false);
+  assert.equal(fs.existsSync(path.join(cacheDir, "two.jpg")), false);
+  assert.ok(m.has("one.jpg") && m.has("three.jpg"));
+  assert.equal(m.status().bytes, 200);
+  assert.equal(logged.length, 1);
+
+  // A single file over the cap is kept: it was just written
+  now = 5000;
+  await cached(m, "huge.jpg", src, 400);
+  assert.ok(m.has("huge.jpg"));
+  assert.equal(m.status().files, 1);
+});
+
+test("status: large manifests do not overflow the stack", () => {
+  const entries = {};
+  for (let i = 0; i < 200_000; i++) entries[`_x/${i}.jpg`] = { source: "a.jpg", bytes: 1, used: 1000 + i, params };
+  fs.writeFileSync(path.join(cacheDir, MANIFEST_FILE), JSON.stringify({ version: 1, entries }));
+  const s = manifest().status();
+  assert.equal(s.files, 200_000);
+  assert.equal(s.oldest_use, new Date(1000).toISOString());
+  assert.equal(s.newest_use, new Date(1000 + 199_999).toISOString());
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveClient, parseCookies, CLIENT_COOKIE, CLIENT_HEADER } from "../clientid.js";
+
+// Just enough of an Express request for resolveClient
+function request({ query = {}, headers = {}, ip = "10.0.0.5" } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { query, headers: lower, ip, get: (name) => lower[name.toLowerCase()] };
+}
+
+const config = { hosts: { "10.0.0.5": "lobby", "127.0.0.1": "desk" } };
+
+test("resolveClient: query, then header, then cookie, then host, then fallback", () => {
+  const all = {
+    query: { client: "from_query" },
+    headers: { [CLIENT_HEADER]: "from_header", cookie: `${CLIENT_COOKIE}=from_cookie` },
+  };
+  assert.deepEqual(resolveClient(request(all), config), { id: "from_query", source: "query" });
+  assert.deepEqual(resolveClient(request({ headers: all.headers }), config), { id: "from_header", source: "header" });
+  assert.deepEqual(resolveClient(request({ headers: { cookie: all.headers.cookie } }), config), { id: "from_cookie", source: "cookie" });
+  assert.deepEqual(resolveClient(request(), config), { id: "lobby", source: "host" });
+  assert.deepEqual(resolveClient(request({ ip: "10.9.9.9" }), config, "srv1"), { id: "srv1", source: "fallback" });
+});
+
+test("resolveClient: skips ids that are not config keys", () => {
+  const req = request({ query: { client: "../etc" }, headers: { [CLIENT_HEADER]: "x".repeat(65) } });
+  assert.deepEqual(resolveClient(req, config), { id: "lobby", source: "host" });
+});
+
+test("resolveClient: IPv4-mapped and loopback addresses match hosts", () => {
+  assert.equal(resolveClient(request({ ip: "::ffff:10.0.0.5" }), config).id, "lobby");
+  assert.equal(resolveClient(request({ ip: "::1" }), config).id, "desk");
+});
+
+test("resolveClient: falls back to \"default\" when the fallback is unusable", () => {
+  assert.deepEqual(resolveClient(request({ ip: "10.9.9.9" }), {}, "bad id!"), { id: "default", source: "fallback" });
+});
+
+test("parseCookies: decodes values and tolerates junk", () => {
+  assert.deepEqual(parseCookies("a=1; b=hello%20there; =x; junk; c=%E0%A4%A"), { a: "1", b: "hello there", c: "%E0%A4%A" });
+  assert.deepEqual(parseCookies(undefined), {});
+});
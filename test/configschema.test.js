@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkConfig, slideType } from "../configschema.js";
+
+const errors = (cfg) => checkConfig(cfg).filter((i) => i.level === "error").map((i) => i.message);
+const warnings = (cfg) => checkConfig(cfg).filter((i) => i.level === "warning").map((i) => i.message);
+const mux = (id, ...children) => ({ id, type: "mux", layout: `1x${children.length}`, panels: children.map((c) => ({ slides: [c] })) });
+
+test("checkConfig: a small valid config has no errors", () => {
+  const cfg = {
+    slides: [{ id: "a", file: "a.jpg" }, { id: "b", file: "frames/*.jpg" }, mux("m", "a", "b")],
+    default: { include: ["m", "a"] },
+  };
+  assert.deepEqual(errors(cfg), []);
+});
+
+test("checkConfig: not a mapping", () => {
+  assert.deepEqual(errors([1, 2]), ["must be a YAML mapping"]);
+});
+
+test("slideType: inferred from file when type is missing", () => {
+  assert.equal(slideType({ file: "a.jpg" }), "still");
+  assert.equal(slideType({ file: "dir/*.JPG" }), "sequence");
+  assert.equal(slideType({ type: "pause" }), "pause");
+});
+
+test("checkConfig: mux panels must name existing slides", () => {
+  assert.ok(errors({ slides: [mux("m", "nope")] }).includes('unknown slide id "nope"'));
+});
+
+test("checkConfig: mux cycles are errors, shared children are not", () => {
+  const cycle = { slides: [{ id: "a", file: "a.jpg" }, mux("x", "y"), mux("y", "z"), mux("z", "x")] };
+  assert.deepEqual(errors(cycle).filter((m) => m.startsWith("mux cycle")), ["mux cycle: x → y → z → x"]);
+  assert.deepEqual(errors({ slides: [mux("self", "self")] }), ["mux cycle: self → self"]);
+
+  const diamond = { slides: [{ id: "a", file: "a.jpg" }, mux("top", "l", "r"), mux("l", "a"), mux("r", "a")] };
+  assert.deepEqual(errors(diamond), []);
+});
+
+test("checkConfig: duplicate slide ids and unknown includes", () => {
+  const cfg = { slides: [{ id: "a", file: "a.jpg" }, { id: "a", file: "b.jpg" }], default: { include: ["a", "ghost"] } };
+  const issues = [...errors(cfg), ...warnings(cfg)].join("\n");
+  assert.match(issues, /duplicate/i);
+  assert.match(issues, /ghost/);
+});
+
+test("checkConfig: sync groups warn about lone screens, drifting playlists and endless slides", () => {
+  const slides = [{ id: "a", file: "a.jpg", duration: 5 }, { id: "b", file: "b.jpg", duration: "infinite" }];
+  const cfg = {
+    slides,
+    clients: {
+      left: { sync: "lobby", include: ["a", "b"], region: { x: 0, y: 0, w: 50, h: 100 } },
+      right: { sync: "lobby", include: ["a"], region: { x: 50, y: 0, w: 50, h: 100 } },
+      solo: { sync: "hall" },
+      loose: { region: { x: 0, y: 0, w: 50, h: 100 } },
+    },
+  };
+  assert.deepEqual(errors(cfg), []);
+  const found = warnings(cfg).join("\n");
+  assert.match(found, /only screen in sync group "hall"/);
+  assert.match(found, /playlist differs from left's/);
+  assert.match(found, /slide "b" has no fixed duration; group "lobby"/);
+  assert.match(found, /without sync/);
+});
+
+test("checkConfig: bad sync names and regions are errors", () => {
+  const cfg = { slides: [{ id: "a", file: "a.jpg" }], clients: { k: { sync: "two words", region: { x: 80, y: 0, w: 50, h: 100 } } } };
+  const found = errors(cfg).join("\n");
+  assert.match(found, /group name/);
+  assert.match(found, /inside the picture/);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { feedSourceError, sniffFormat, parseJson, parseIcal, pick } from "../feeds.js";
+
+test("feedSourceError: http(s) URLs and files in fixtures/ only", () => {
+  for (const ok of ["https://example.org/feed.xml", "HTTP://x/y", "fixtures/events.ics", "fixtures/sub/news.xml"])
+    assert.equal(feedSourceError(ok), "", ok);
+  for (const bad of ["config.yaml", ".env", "cache/clients.json", "fixtures/../config.yaml", "fixtures\\..\\.env", "fixtures/.hidden", "/etc/passwd", "fixtures/", ""])
+    assert.notEqual(feedSourceError(bad), "", bad);
+});
+
+test("sniffFormat: extension first, then content", () => {
+  assert.equal(sniffFormat("", "fixtures/events.ics"), "ical");
+  assert.equal(sniffFormat("", "https://x/data.json?x=1"), "json");
+  assert.equal(sniffFormat("BEGIN:VCALENDAR\r\n", "https://x/cal"), "ical");
+  assert.equal(sniffFormat('  {"a":1}', "https://x/api"), "json");
+  assert.equal(sniffFormat("<?xml version='1.0'?><rss/>", "https://x/feed"), "rss");
+  assert.throws(() => sniffFormat("hello", "https://x/what"), { status: 502 });
+});
+
+test("parseJson: items path, negative index and field mapping", () => {
+  const text = JSON.stringify({ observed: { data: [{ primary: 1.5, validTime: "2026-06-01T00:00:00Z" }, { primary: 2, validTime: "2026-06-01T01:00:00Z" }] } });
+  const feed = parseJson(text, { items: "observed.data", fields: { value: "primary", date: "validTime" } });
+  assert.equal(feed.items.length, 2);
+  assert.equal(feed.items[1].value, 2);
+  assert.equal(feed.items[1].date, "2026-06-01T01:00:00Z");
+  assert.equal(pick({ a: [1, 2, 3] }, "a.-1"), 3);
+});
+
+const ics = (rule) =>
+  ["BEGIN:VCALENDAR", "BEGIN:VEVENT", "SUMMARY:Standup", "DTSTART:20260601T130000Z", "DTEND:20260601T133000Z", `RRULE:${rule}`, "END:VEVENT", "END:VCALENDAR"].join("\r\n");
+const range = { from: Date.parse("2026-06-01T00:00:00Z"), to: Date.parse("2026-06-15T00:00:00Z") };
+
+test("parseIcal: RRULE expands inside the range", () => {
+  const { items } = parseIcal(ics("FREQ=WEEKLY;BYDAY=MO,WE"), range);
+  assert.deepEqual(items.map((i) => i.date.slice(0, 10)), ["2026-06-01", "2026-06-03", "2026-06-08", "2026-06-10"]);
+  assert.equal(parseIcal(ics("FREQ=DAILY;COUNT=3"), range).items.length, 3);
+});
+
+test("parseIcal: malformed RRULEs end instead of spinning", () => {
+  // Non-numeric INTERVAL counts as 1
+  assert.equal(parseIcal(ics("FREQ=DAILY;INTERVAL=abc"), range).items.length, 14);
+  // Unknown BYDAY weekdays: weekly on the DTSTART weekday
+  assert.deepEqual(parseIcal(ics("FREQ=WEEKLY;BYDAY=XX"), range).items.map((i) => i.date.slice(0, 10)), ["2026-06-01", "2026-06-08"]);
+  // UNTIL far off and no COUNT: bounded by the range
+  assert.equal(parseIcal(ics("FREQ=DAILY;INTERVAL=0;UNTIL=99991231T000000Z"), range).items.length, 14);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { render, esc, FILTERS } from "../public/pages/feedtemplate.js";
+
+test("esc: HTML-special characters become entities", () => {
+  assert.equal(esc(`<a href="x" onclick='y'>&</a>`), "&#60;a href=&#34;x&#34; onclick=&#39;y&#39;&#62;&#38;&#60;/a&#62;");
+  assert.equal(esc(null), "");
+  assert.equal(esc(0), "0");
+});
+
+test("render: fields are escaped, dotted names reach into objects", () => {
+  const feed = { title: "<b>News</b>", first: { title: "Fish & chips" } };
+  assert.equal(render("{{title}} / {{first.title}} / {{missing}}", [feed]), "&#60;b&#62;News&#60;/b&#62; / Fish &#38; chips / ");
+});
+
+test("render: text from the feed is never re-read as a tag", () => {
+  const feed = { items: [{ title: "{{secret}}" }], secret: "leaked" };
+  assert.equal(render("{{#items}}{{title}}{{/items}}", [feed]), "{{secret}}");
+});
+
+test("render: sections repeat per item and fall back to outer fields", () => {
+  const feed = { unit: "ft", items: [{ value: 1 }, { value: 2 }] };
+  assert.equal(render("{{#items}}[{{value}} {{unit}}]{{/items}}", [feed]), "[1 ft][2 ft]");
+});
+
+test("render: inverted sections show only when empty", () => {
+  const tpl = "{{#items}}x{{/items}}{{^items}}nothing{{/items}}";
+  assert.equal(render(tpl, [{ items: [] }]), "nothing");
+  assert.equal(render(tpl, [{ items: [1] }]), "x");
+  assert.equal(render("{{#stale}}old{{/stale}}", [{ stale: true }]), "old");
+});
+
+test("render: filters run before escaping, unknown filters are ignored", () => {
+  assert.equal(render("{{name|upper}}", [{ name: "<i>" }]), "&#60;I&#62;");
+  assert.equal(render("{{v|round}} {{v|number}} {{v|nope}}", [{ v: 1234.567 }]), "1235 1,234.57 1234.567");
+});
+
+test("FILTERS: dates and relative times", () => {
+  assert.equal(FILTERS.time("2026-06-01"), ""); // all-day
+  assert.equal(FILTERS.date("2026-06-01"), "Jun 1");
+  assert.equal(FILTERS.ago(new Date(Date.now() - 5 * 60000).toISOString()), "5 min ago");
+  assert.equal(FILTERS.ago(""), "");
+});
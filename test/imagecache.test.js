@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pickVariant, variantKey, sourceOfKey, DEFAULT_VARIANT } from "../imagecache.js";
+
+test("pickVariant: smallest bucket that covers the display", () => {
+  assert.deepEqual(pickVariant({ w: 1280, h: 720 }), { width: 1280, height: 720, format: null });
+  assert.deepEqual(pickVariant({ w: 1366, h: 768 }), { width: 1920, height: 1080, format: null });
+  assert.deepEqual(pickVariant({ w: 2560, h: 1600 }), { width: 3840, height: 2160, format: null });
+});
+
+test("pickVariant: beyond the largest bucket stays at the largest", () => {
+  assert.deepEqual(pickVariant({ w: 7680, h: 4320 }), { width: 3840, height: 2160, format: null });
+});
+
+test("pickVariant: portrait screens get the bucket turned", () => {
+  assert.deepEqual(pickVariant({ w: 1080, h: 1920 }), { width: 1080, height: 1920, format: null });
+});
+
+test("pickVariant: missing or junk sizes fall back to the default", () => {
+  const fallback = { width: DEFAULT_VARIANT.width, height: DEFAULT_VARIANT.height, format: null };
+  assert.deepEqual(pickVariant(), fallback);
+  assert.deepEqual(pickVariant({ w: "abc", h: 900 }), fallback);
+  assert.deepEqual(pickVariant({ w: -5, h: -5 }), fallback);
+});
+
+test("pickVariant: first preferred format the browser accepts", () => {
+  assert.equal(pickVariant({ formats: "avif,webp" }).format, "webp");
+  assert.equal(pickVariant({ formats: "AVIF" }).format, "avif");
+  assert.equal(pickVariant({ formats: "avif,webp" }, ["avif", "webp"]).format, "avif");
+  assert.equal(pickVariant({ formats: "jxl, png" }).format, null);
+});
+
+test("variantKey / sourceOfKey round trip", () => {
+  for (const v of [DEFAULT_VARIANT, { width: 1280, height: 720, format: "webp" }, { width: 1920, height: 1080, format: "avif" }]) {
+    const key = variantKey("trip/IMG_1.JPG", v);
+    assert.equal(sourceOfKey(key), "trip/IMG_1.JPG");
+  }
+  assert.equal(variantKey("a.jpg"), "a.jpg");
+  assert.equal(variantKey("a.jpg", { width: 1280, height: 720, format: "webp" }), "_1280x720/a.jpg.webp");
+  assert.equal(sourceOfKey("_thumb/a.jpg"), "a.jpg");
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import express from "express";
+import sharp from "sharp";
+import { createPhotoStore, createPhotoRouter } from "../photoapi.js";
+
+const LIMIT = 4096;
+let photosDir;
+let server;
+let port;
+
+before(async () => {
+  photosDir = fs.mkdtempSync(path.join(os.tmpdir(), "photoapi-"));
+  const imageCache = { generateDerivatives: async (abs) => ({ file: path.relative(photosDir, abs) }), readMeta: () => null };
+  const photoStore = createPhotoStore({ photosDir, imageCache, log: () => {}, maxBytes: LIMIT });
+  const app = express();
+  app.use("/api/photos", createPhotoRouter(express, { photosDir, photoStore, imageCache }));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(photosDir, { recursive: true, force: true });
+});
+
+// PUT with Transfer-Encoding: chunked (no Content-Length), one write per chunk
+function putChunked(file, chunks) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method: "PUT", path: `/api/photos/${file}`, headers: { "Content-Type": "application/octet-stream" } }, (res) => {
+      let body = "";
+      res.on("data", (d) => (body += d));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on("error", reject);
+    for (const c of chunks) req.write(c);
+    req.end();
+  });
+}
+
+const listAll = () => fs.readdirSync(photosDir, { recursive: true });
+
+test("PUT: an over-limit chunked body gets a 413 answer, not a reset", async () => {
+  const chunks = Array.from({ length: 8 }, () => Buffer.alloc(1024, 1));
+  const { status, body } = await putChunked("big.jpg", chunks);
+  assert.equal(status, 413);
+  assert.match(body.error, /exceeds 4096 bytes/);
+  assert.deepEqual(listAll(), []); // temp file removed
+});
+
+test("PUT: a chunked image under the limit is stored", async () => {
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: "#08f" } }).png().toBuffer();
+  const { status, body } = await putChunked("sub/dot.png", [png.subarray(0, 10), png.subarray(10)]);
+  assert.equal(status, 200);
+  assert.equal(body.file, path.join("sub", "dot.png"));
+  assert.deepEqual(fs.readFileSync(path.join(photosDir, "sub", "dot.png")), png);
+  assert.ok(!listAll().some((f) => path.basename(f).startsWith(".upload-")));
+});
+
+test("PUT: bad names are refused with the body drained", async () => {
+  assert.equal((await putChunked("notes.txt", [Buffer.alloc(100)])).status, 415);
+  assert.equal((await putChunked("a.jpg", [Buffer.from("not an image")])).status, 415);
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isActive, nextBoundary, scheduleError } from "../schedule.js";
+
+const NY = { timezone: "America/New_York" };
+// 2026-06-01 is a Monday; New York is UTC-4 in summer
+const at = (iso) => new Date(iso);
+
+test("isActive: no schedule is always on", () => {
+  assert.equal(isActive(undefined, at("2026-06-01T12:00:00Z"), NY), true);
+  assert.equal(isActive([], at("2026-06-01T12:00:00Z"), NY), true);
+});
+
+test("isActive: weekday and time window in the configured timezone", () => {
+  const s = { days: "mon-fri", from: "07:00", to: "10:00" };
+  assert.equal(isActive(s, at("2026-06-01T11:30:00Z"), NY), true); // Mon 07:30
+  assert.equal(isActive(s, at("2026-06-01T14:00:00Z"), NY), false); // Mon 10:00, to is exclusive
+  assert.equal(isActive(s, at("2026-06-06T11:30:00Z"), NY), false); // Sat
+});
+
+test("isActive: overnight windows belong to the day they start", () => {
+  const s = { days: ["fri"], from: "22:00", to: "02:00" };
+  assert.equal(isActive(s, at("2026-06-06T03:00:00Z"), NY), true); // Fri 23:00
+  assert.equal(isActive(s, at("2026-06-06T05:00:00Z"), NY), true); // Sat 01:00, Friday's window
+  assert.equal(isActive(s, at("2026-06-07T05:00:00Z"), NY), false); // Sun 01:00
+});
+
+test("isActive: date range, except dates and holidays", () => {
+  const s = { start: "2026-05-01", end: "2026-06-30", except: ["holidays", "06-02"] };
+  const ctx = { ...NY, holidays: ["2026-06-03"] };
+  assert.equal(isActive(s, at("2026-06-01T16:00:00Z"), ctx), true);
+  assert.equal(isActive(s, at("2026-06-02T16:00:00Z"), ctx), false); // MM-DD
+  assert.equal(isActive(s, at("2026-06-03T16:00:00Z"), ctx), false); // holiday
+  assert.equal(isActive(s, at("2026-07-01T16:00:00Z"), ctx), false); // after end
+});
+
+test("isActive: any window of a list", () => {
+  const s = [{ from: "07:00", to: "08:00" }, { from: "17:00", to: "18:00" }];
+  assert.equal(isActive(s, at("2026-06-01T21:30:00Z"), NY), true);
+  assert.equal(isActive(s, at("2026-06-01T16:00:00Z"), NY), false);
+});
+
+test("nextBoundary: next from/to time, else local midnight", () => {
+  const s = [{ from: "08:00", to: "17:00" }];
+  assert.equal(nextBoundary(s, at("2026-06-01T12:00:30.500Z"), NY).toISOString(), "2026-06-01T21:00:00.000Z");
+  assert.equal(nextBoundary(s, at("2026-06-01T23:00:00Z"), NY).toISOString(), "2026-06-02T04:00:00.000Z");
+  assert.equal(nextBoundary([undefined], at("2026-06-01T23:00:00Z"), NY), null);
+});
+
+test("nextBoundary: spring-forward day has 23 hours", () => {
+  // 2026-03-08 01:30 EST; clocks jump 02:00 → 03:00
+  const now = at("2026-03-08T06:30:00Z");
+  assert.equal(nextBoundary([{ from: "07:00" }], now, NY).toISOString(), "2026-03-08T11:00:00.000Z"); // 07:00 EDT
+  // 02:30 never happens: the boundary is the jump itself
+  assert.equal(nextBoundary([{ from: "02:30" }], now, NY).toISOString(), "2026-03-08T07:00:00.000Z");
+});
+
+test("nextBoundary: fall-back day has 25 hours", () => {
+  // 2026-11-01 00:30 EDT; clocks fall back 02:00 → 01:00
+  const now = at("2026-11-01T04:30:00Z");
+  assert.equal(nextBoundary([{ from: "07:00" }], now, NY).toISOString(), "2026-11-01T12:00:00.000Z"); // 07:00 EST
+  assert.equal(nextBoundary([{ from: "01:30" }], now, NY).toISOString(), "2026-11-01T05:30:00.000Z"); // first 01:30
+});
+
+test("scheduleError: explains malformed windows", () => {
+  assert.equal(scheduleError({ days: "mon-fri", from: "07:00" }), "");
+  assert.match(scheduleError({ form: "07:00" }), /unknown key form/);
+  assert.match(scheduleError({ from: "7am" }), /from: must be "HH:MM"/);
+  assert.match(scheduleError([{}, { days: "funday" }]), /^\[1\] days/);
+  assert.match(scheduleError({ except: ["2026/12/24"] }), /except/);
+});
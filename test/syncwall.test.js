@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { groupError, regionError, syncGroup, wallVariant, HOLD_SECONDS } from "../syncwall.js";
+
+test("groupError: plain names only", () => {
+  assert.equal(groupError("lobby.wall-1"), "");
+  assert.notEqual(groupError("lobby wall"), "");
+  assert.notEqual(groupError(""), "");
+  assert.notEqual(groupError(3), "");
+});
+
+test("regionError: a percentage box inside the picture", () => {
+  assert.equal(regionError({ x: 0, y: 0, w: 50, h: 100 }), "");
+  assert.equal(regionError({ x: 52, y: 0, w: 48, h: 100 }), "");
+  assert.match(regionError([1, 2]), /mapping/);
+  assert.match(regionError({ x: 0, y: 0, w: 50 }), /^h must be a percentage/);
+  assert.match(regionError({ x: -1, y: 0, w: 50, h: 50 }), /^x must be/);
+  assert.match(regionError({ x: 0, y: 0, w: 0, h: 50 }), /above 0/);
+  assert.match(regionError({ x: 60, y: 0, w: 50, h: 100 }), /inside the picture/);
+  assert.match(regionError({ x: 0, y: 0, w: 50, h: 50, z: 1 }), /unknown key "z"/);
+});
+
+test("syncGroup: members share the group, others get null", () => {
+  const config = { clients: { left: { sync: "lobby" }, right: { sync: "lobby" }, desk: {} } };
+  assert.deepEqual(syncGroup(config, config.clients.left), { group: "lobby", members: ["left", "right"], hold: HOLD_SECONDS });
+  assert.equal(syncGroup(config, config.clients.desk), null);
+  assert.equal(syncGroup(config, undefined), null);
+});
+
+test("wallVariant: big enough that the region still fills the screen", () => {
+  const screen = { width: 1920, height: 1080, format: "webp" };
+  // Half the picture across a 1080p screen needs a 3840-wide source
+  assert.deepEqual(wallVariant(screen, { x: 0, y: 0, w: 50, h: 100 }), { width: 3840, height: 2160, format: "webp" });
+  assert.deepEqual(wallVariant({ width: 1280, height: 720, format: null }, { x: 0, y: 0, w: 100, h: 100 }), {
+    width: 1280,
+    height: 720,
+    format: null,
+  });
+  // Capped at the largest bucket
+  assert.deepEqual(wallVariant(screen, { x: 0, y: 0, w: 25, h: 25 }), { width: 3840, height: 2160, format: "webp" });
+});
@@ -0,0 +1,290 @@
+// ------------------------------------------------------------
+// 🎞️ Time-lapse renders – a sequence slide as one video file
+// ------------------------------------------------------------
+// cache/_timelapse/<id>-<W>x<H>-<hash>.<mp4|webm|webp>   (+ .json sidecar)
+//
+// The hash covers the frames (names, mtimes), fps, repeat, crossfade and
+// format, so adding a frame or editing the slide renders afresh and the old
+// file goes. Frames are auto-oriented and letterboxed to one size (the
+// display bucket, at the first frame's aspect), then piped raw into ffmpeg
+// (H.264 MP4 / VP9 WebM) or stacked for sharp (animated WebP: no ffmpeg
+// needed, but every frame is held in memory, so it is capped).
+//
+// Timing matches the frame-by-frame player: duration (if set) spreads the
+// frames over that time, else fps; crossfade (seconds each frame spends
+// blending into the next) defaults to what the slide's effect looks like:
+// animate-smooth the whole frame, fade up to 0.7s, cut/none nothing.
+// Blended output runs at CROSSFADE_FPS. One render runs at a time; asking
+// for a file that is already being made joins that render.
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { spawn, execFile } from "child_process";
+import { once } from "events";
+import sharp from "sharp";
+import { safeGlob } from "./safepath.js";
+import { isImageFile, TIMELAPSE_DIR, DEFAULT_VARIANT } from "./imagecache.js";
+import { createWorkPool } from "./workpool.js";
+
+export const TIMELAPSE_FORMATS = ["mp4", "webm", "webp"];
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const CROSSFADE_FPS = { mp4: 30, webm: 30, webp: 15 };
+const WEBP_MAX = { width: 960, height: 540 };
+// Every distinct WebP frame is held as raw RGB and sharp copies the strip once
+// more, so peak memory is about twice this (~80 frames at 960×540)
+const WEBP_MAX_BYTES = 128 * 1024 * 1024;
+const RETRY_FAILED_MS = 60 * 60 * 1000;
+const NAME_RE = /^(.+)-(\d+x\d+)-([0-9a-f]+)\.(mp4|webm|webp)(\.json)?$/;
+
+const ENCODERS = {
+  mp4: ["-c:v", "libx264", "-preset", "veryfast", "-crf", "23", "-movflags", "+faststart"],
+  webm: ["-c:v", "libvpx-vp9", "-b:v", "0", "-crf", "34", "-deadline", "realtime", "-cpu-used", "8", "-row-mt", "1"],
+};
+
+function renderError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Slide's format: null when it opts out (timelapse: false or default "off")
+export function timelapseFormat(slide, fallback) {
+  if (slide.timelapse === false) return null;
+  if (TIMELAPSE_FORMATS.includes(slide.timelapse)) return slide.timelapse;
+  return TIMELAPSE_FORMATS.includes(fallback) ? fallback : null;
+}
+
+let ffmpegCheck = null;
+export function ffmpegAvailable() {
+  ffmpegCheck ??= new Promise((resolve) => execFile(FFMPEG, ["-version"], { timeout: 10000 }, (err) => resolve(!err)));
+  return ffmpegCheck;
+}
+
+// Output size inside box, keeping the first frame's (oriented) aspect; even for the codecs
+async function outputSize(first, box) {
+  const { width, height, orientation } = await sharp(first).metadata();
+  const [w, h] = (orientation || 1) >= 5 ? [height, width] : [width, height];
+  const scale = Math.min(box.width / w, box.height / h, 1);
+  const even = (n) => Math.max(2, 2 * Math.round((n * scale) / 2));
+  return { width: even(w), height: even(h) };
+}
+
+function mix(a, b, t) {
+  const out = Buffer.allocUnsafe(a.length);
+  for (let i = 0; i < a.length; i++) out[i] = a[i] + (b[i] - a[i]) * t;
+  return out;
+}
+
+// Seconds of blend between frames, as the player's effect would show it
+function effectCrossfade(effect = "animate-smooth", fps) {
+  if (effect === "animate-smooth") return 1 / fps;
+  if (effect === "fade") return Math.min(0.4 / fps, 0.7);
+  return 0;
+}
+
+// Raw RGB frames in play order (a held frame repeats the same Buffer), plus
+// the rate they come at, their count and how many differ
+function frameStream(files, { width, height, fps, repeat, crossfade, format }) {
+  const hold = crossfade ? Math.max(1, Math.round(CROSSFADE_FPS[format] / fps)) : 1;
+  const blend = Math.min(hold - 1, Math.round(crossfade * fps * hold));
+  const order = Array.from({ length: repeat }, () => files).flat();
+  const load = (f) =>
+    sharp(f).rotate().resize(width, height, { fit: "contain", background: "#000" }).removeAlpha().raw().toBuffer();
+
+  async function* frames() {
+    let cur = await load(order[0]);
+    for (let i = 0; i < order.length; i++) {
+      const next = i + 1 < order.length ? await load(order[i + 1]) : null;
+      for (let k = 0; k < hold - (next ? blend : 0); k++) yield cur;
+      for (let k = 1; next && k <= blend; k++) yield mix(cur, next, k / (blend + 1));
+      cur = next;
+    }
+  }
+  return { frames: frames(), outFps: fps * hold, count: order.length * hold, distinct: order.length * (1 + blend) };
+}
+
+function encodeVideo(stream, { width, height, format }, out) {
+  const args = [
+    "-y", "-v", "error",
+    "-f", "rawvideo", "-pix_fmt", "rgb24", "-s", `${width}x${height}`, "-r", String(stream.outFps), "-i", "-",
+    ...ENCODERS[format], "-pix_fmt", "yuv420p", "-an", "-f", format, out,
+  ];
+  return new Promise((resolve, reject) => {
+    const proc = spawn(FFMPEG, args, { stdio: ["pipe", "ignore", "pipe"] });
+    let stderr = "";
+    proc.stderr.on("data", (d) => (stderr = (stderr + d).slice(-2000)));
+    proc.stdin.on("error", () => {}); // ffmpeg quitting early is reported on close
+    proc.on("error", reject);
+    proc.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited ${code}: ${stderr.trim()}`))));
+    (async () => {
+      for await (const frame of stream.frames) {
+        if (!proc.stdin.write(frame)) await once(proc.stdin, "drain");
+      }
+      proc.stdin.end();
+    })().catch((err) => {
+      proc.kill();
+      reject(err);
+    });
+  });
+}
+
+// Held frames become one page with a longer delay
+async function encodeWebp(stream, { width, height }, out) {
+  const size = width * height * 3;
+  if (size * stream.distinct > WEBP_MAX_BYTES) {
+    const max = Math.floor(WEBP_MAX_BYTES / size);
+    throw renderError(413, `${stream.distinct} frames is too long for animated WebP at ${width}x${height} (max ${max}); use mp4`);
+  }
+  const strip = Buffer.allocUnsafe(size * stream.distinct);
+  const ticks = [];
+  let last = null;
+  for await (const frame of stream.frames) {
+    if (frame === last) ticks[ticks.length - 1]++;
+    else {
+      frame.copy(strip, size * ticks.length);
+      ticks.push(1);
+    }
+    last = frame;
+  }
+  // Per-page delays (sharp does not repeat a single one); rounding spread out
+  const at = (tick) => Math.round((tick * 1000) / stream.outFps);
+  let tick = 0;
+  const delay = ticks.map((n) => at((tick += n)) - at(tick - n));
+  const pages = ticks.length;
+  await sharp(strip.subarray(0, size * pages), { raw: { width, height: height * pages, channels: 3, pageHeight: height } })
+    .webp({ quality: 75, effort: 2, loop: 0, delay })
+    .toFile(out);
+}
+
+// onRendered(slideId) after a background render lands
+export function createTimelapses({ photosDir, cacheDir, log, onRendered = () => {} }) {
+  const dir = path.join(cacheDir, TIMELAPSE_DIR);
+  const pool = createWorkPool(1);
+  const inflight = new Map(); // name → Promise<info>
+  const failed = new Map(); // name → epoch ms of the last failure
+  const stats = { rendered: 0, failed: 0 };
+
+  // Everything that decides the output, and the file name it maps to
+  async function plan(slide, variant = DEFAULT_VARIANT, format) {
+    if (format !== "webp" && !(await ffmpegAvailable())) {
+      format = "webp"; // no ffmpeg (bare Node install): WebP needs only sharp
+    }
+    const box = format === "webp"
+      ? { width: Math.min(variant.width, WEBP_MAX.width), height: Math.min(variant.height, WEBP_MAX.height) }
+      : { width: variant.width, height: variant.height };
+    const files = (await safeGlob(photosDir, slide.file)).filter(isImageFile);
+    const stamps = files.map((f) => fs.statSync(path.join(photosDir, f)).mtimeMs);
+    const repeat = slide.repeat || 1;
+    const fps = Number(slide.duration) > 0 && files.length ? (files.length * repeat) / slide.duration : slide.fps || 10;
+    const crossfade = Math.min(slide.crossfade ?? effectCrossfade(slide.effect, fps), 1 / fps);
+    const hash = crypto
+      .createHash("sha1")
+      .update(JSON.stringify({ files, stamps, fps, repeat, crossfade, format }))
+      .digest("hex")
+      .slice(0, 12);
+    const name = `${slide.id}-${box.width}x${box.height}-${hash}.${format}`;
+    return { slide, files, fps, repeat, crossfade, format, box, name, out: path.join(dir, name) };
+  }
+
+  function readInfo(name) {
+    try {
+      if (!fs.existsSync(path.join(dir, name))) return null;
+      return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  // Older renders of the same slide at the same size
+  function dropSiblings(p) {
+    const prefix = `${p.slide.id}-${p.box.width}x${p.box.height}-`;
+    for (const f of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+      const m = NAME_RE.exec(f);
+      if (m && f.startsWith(prefix) && m[1] === p.slide.id && !f.startsWith(p.name)) fs.rmSync(path.join(dir, f), { force: true });
+    }
+  }
+
+  async function build(p) {
+    const started = Date.now();
+    fs.mkdirSync(dir, { recursive: true });
+    const size = await outputSize(path.join(photosDir, p.files[0]), p.box);
+    const stream = frameStream(p.files.map((f) => path.join(photosDir, f)), { ...p, ...size });
+    const tmp = `${p.out}.tmp-${process.pid}`;
+    try {
+      if (p.format === "webp") await encodeWebp(stream, size, tmp);
+      else await encodeVideo(stream, { ...size, format: p.format }, tmp);
+      fs.renameSync(tmp, p.out);
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+    const info = {
+      id: p.slide.id,
+      url: `/cache/${TIMELAPSE_DIR}/${p.name}`,
+      format: p.format,
+      ...size,
+      frames: p.files.length,
+      fps: p.fps,
+      repeat: p.repeat,
+      crossfade: p.crossfade,
+      duration: (p.files.length * p.repeat) / p.fps,
+      bytes: fs.statSync(p.out).size,
+      rendered: new Date().toISOString(),
+    };
+    fs.writeFileSync(`${p.out}.json`, JSON.stringify(info, null, 2));
+    dropSiblings(p);
+    stats.rendered++;
+    log(`🎞️ Rendered ${p.name} (${p.files.length} frames, ${((Date.now() - started) / 1000).toFixed(1)}s)`);
+    return info;
+  }
+
+  // → info of the finished file (rendering it first if needed)
+  async function render(slide, variant, format) {
+    const p = await plan(slide, variant, format);
+    if (!p.files.length) throw renderError(404, `No frames match ${slide.file}`);
+    const done = readInfo(p.name);
+    if (done) return done;
+    if (!inflight.has(p.name)) {
+      const job = pool.run(() => build(p)).finally(() => inflight.delete(p.name));
+      inflight.set(p.name, job);
+      job.catch((err) => {
+        stats.failed++;
+        failed.set(p.name, Date.now());
+        log(`⚠️ Time-lapse ${p.name} failed: ${err.message}`);
+      });
+    }
+    return inflight.get(p.name);
+  }
+
+  // → info if the current render exists, else null (and one is queued in the background)
+  async function current(slide, variant, format) {
+    const p = await plan(slide, variant, format);
+    if (!p.files.length) return null;
+    const done = readInfo(p.name);
+    if (done || inflight.has(p.name)) return done;
+    if (Date.now() - (failed.get(p.name) || 0) < RETRY_FAILED_MS) return null;
+    render(slide, variant, format).then(() => onRendered(slide.id), () => {});
+    return null;
+  }
+
+  // Remove renders of slides that are gone (ids still in the config stay)
+  function prune(ids) {
+    const keep = new Set(ids);
+    let removed = 0;
+    for (const f of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+      const m = NAME_RE.exec(f);
+      if (!m || keep.has(m[1])) continue;
+      fs.rmSync(path.join(dir, f), { force: true });
+      if (!m[5]) removed++;
+    }
+    return removed;
+  }
+
+  function status() {
+    const files = (fs.existsSync(dir) ? fs.readdirSync(dir) : []).filter((f) => NAME_RE.test(f) && !f.endsWith(".json"));
+    const bytes = files.reduce((sum, f) => sum + fs.statSync(path.join(dir, f)).size, 0);
+    return { renders: files.length, bytes, queued: pool.size(), ...stats };
+  }
+
+  return { render, current, prune, status };
+}
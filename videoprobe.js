@@ -0,0 +1,120 @@
+// ------------------------------------------------------------
+// 🎬 Video probe – clip length for video slides
+// ------------------------------------------------------------
+// ffprobe when it is installed (the Docker image ships it); otherwise the
+// duration is read straight from the container: the MP4/MOV `mvhd` box or
+// the WebM/Matroska Segment Info. Results are memoized per file + mtime.
+// ------------------------------------------------------------
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+
+export const VIDEO_EXTS = [".mp4", ".m4v", ".mov", ".webm", ".mkv"];
+export const isVideoFile = (file) => VIDEO_EXTS.includes(path.extname(String(file)).toLowerCase());
+
+const FFPROBE = process.env.FFPROBE_PATH || "ffprobe";
+const PROBE_TIMEOUT_MS = 10000;
+let ffprobeMissing = false;
+
+function ffprobeDuration(filePath) {
+  if (ffprobeMissing) return Promise.resolve(null);
+  const args = ["-v", "error", "-show_entries", "format=duration", "-of", "default=nw=1:nk=1", filePath];
+  return new Promise((resolve) => {
+    execFile(FFPROBE, args, { timeout: PROBE_TIMEOUT_MS }, (err, stdout) => {
+      if (err?.code === "ENOENT") ffprobeMissing = true;
+      const seconds = parseFloat(stdout);
+      resolve(!err && seconds > 0 ? seconds : null);
+    });
+  });
+}
+
+// --- MP4 / MOV: moov → mvhd (timescale, duration) ---
+function mp4Duration(fd, size) {
+  const header = Buffer.alloc(16);
+  const walk = (start, end) => {
+    let at = start;
+    while (at + 8 <= end) {
+      fs.readSync(fd, header, 0, 16, at);
+      let boxSize = header.readUInt32BE(0);
+      const type = header.toString("latin1", 4, 8);
+      let body = at + 8;
+      if (boxSize === 1) {
+        boxSize = Number(header.readBigUInt64BE(8));
+        body = at + 16;
+      } else if (boxSize === 0) {
+        boxSize = end - at;
+      }
+      if (boxSize < 8) return null;
+      if (type === "moov") return walk(body, at + boxSize);
+      if (type === "mvhd") {
+        const mvhd = Buffer.alloc(32);
+        fs.readSync(fd, mvhd, 0, 32, body);
+        const v1 = mvhd[0] === 1;
+        const timescale = mvhd.readUInt32BE(v1 ? 20 : 12);
+        const duration = v1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+        return timescale ? duration / timescale : null;
+      }
+      at += boxSize;
+    }
+    return null;
+  };
+  return walk(0, size);
+}
+
+// --- WebM / Matroska: Segment Info has TimecodeScale (2AD7B1) and Duration (4489) ---
+function webmDuration(fd, size) {
+  const buf = Buffer.alloc(Math.min(size, 256 * 1024));
+  fs.readSync(fd, buf, 0, buf.length, 0);
+  const readVint = (at) => {
+    const first = buf[at];
+    let len = 1;
+    while (len <= 8 && !(first & (0x80 >> (len - 1)))) len++;
+    let value = first & (0xff >> len);
+    for (let i = 1; i < len; i++) value = value * 256 + buf[at + i];
+    return { len, value };
+  };
+  let scale = 1000000; // ns per tick (Matroska default)
+  const scaleAt = buf.indexOf(Buffer.from([0x2a, 0xd7, 0xb1]));
+  if (scaleAt >= 0) {
+    const { len, value } = readVint(scaleAt + 3);
+    scale = buf.readUIntBE(scaleAt + 3 + len, Math.min(value, 6));
+  }
+  const durAt = buf.indexOf(Buffer.from([0x44, 0x89]));
+  if (durAt < 0) return null;
+  const { len, value } = readVint(durAt + 2);
+  const data = durAt + 2 + len;
+  const ticks = value === 8 ? buf.readDoubleBE(data) : value === 4 ? buf.readFloatBE(data) : null;
+  return ticks ? (ticks * scale) / 1e9 : null;
+}
+
+function containerDuration(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, "r");
+    const { size } = fs.fstatSync(fd);
+    const ext = path.extname(filePath).toLowerCase();
+    const seconds = ext === ".webm" || ext === ".mkv" ? webmDuration(fd, size) : mp4Duration(fd, size);
+    return seconds > 0 ? seconds : null;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+const memo = new Map();
+
+// Clip length in seconds, or null when it cannot be determined.
+export async function probeDuration(filePath) {
+  let mtime;
+  try {
+    mtime = fs.statSync(filePath).mtimeMs;
+  } catch {
+    return null;
+  }
+  const hit = memo.get(filePath);
+  if (hit?.mtime === mtime) return hit.seconds;
+  const seconds = (await ffprobeDuration(filePath)) ?? containerDuration(filePath);
+  memo.set(filePath, { mtime, seconds });
+  return seconds;
+}
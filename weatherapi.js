@@ -1,20 +1,54 @@
 // ------------------------------------------------------------
 // 🌦️ Weather API module – Node 22 (native fetch)
 // ------------------------------------------------------------
-export function createWeatherRouter(express, OPENWEATHER_KEY, log) {
-  const router = express.Router();
-
-  // --- Caches ---
-  const weatherCache = new Map();
-  const currentCache = new Map();
-  const geoCache = new Map();
-  const zipCache = new Map();
+// GET /api/weather/current?city=Richmond,VA | zip=23220 | lat=&lon=
+// GET /api/weather?…                         (forecast, same parameters)
+// GET /api/weather/alerts?…                  (active alerts, most severe first)
+// GET /api/weather/providers
+//   &units=imperial|metric   &provider=openweather|nws|mock
+//
+// Every provider answers in the normalized shape documented in
+// weatherproviders.js. The default is KIOSK_WEATHER_PROVIDER, else
+// OpenWeather when a key is set, else the National Weather Service.
+// Alerts come from NWS for providers that have none of their own.
+//
+// createWeatherService() holds providers and the cache; the server also asks
+// it directly (alert-driven slides), the router just maps HTTP onto it.
+// Answers carry `fetched` (ISO); `stale: true` means upstream failed and this
+// is the last good copy from the disk cache (diskcache.js).
+//
+// Upstream calls (cache misses and refreshes) share an hourly budget,
+// upstreamPerHour; past it, answers come from the cache or fail with 503,
+// so a flood of made-up locations cannot use up the OpenWeather quota.
+// ------------------------------------------------------------
+import { createWeatherProviders, getJson, UNITS, UNIT_LABELS, providerError } from "./weatherproviders.js";
+import { createDiskCache } from "./diskcache.js";
+import { createRateLimit, rateLimited } from "./ratelimit.js";
+
+export function createWeatherService({ openWeatherKey, provider, mockSource, userAgent, cacheFile, upstreamPerHour = 300 }, log) {
+  const providers = createWeatherProviders({ openWeatherKey, userAgent, mockSource });
+  const defaultProvider = provider || (openWeatherKey ? "openweather" : "nws");
+  if (!providers[defaultProvider])
+    log(`⚠️ Weather provider "${defaultProvider}" unavailable (${Object.keys(providers).join(", ")} configured)`);
+
+  // --- Cache (shared by all kinds, survives restarts) ---
+  const cache = createDiskCache({ file: cacheFile, log, label: "weather" });
+  const budget = createRateLimit({ windowMs: 60 * 60 * 1000, max: upstreamPerHour });
+
+  // Every upstream request goes through here; 503 lets the cache fall back to stale
+  function spend(what) {
+    const { ok, retryAfter, first } = budget.take();
+    if (ok) return;
+    if (first) log(`🚦 Weather upstream budget (${upstreamPerHour}/h) used up — refusing ${what} for ${retryAfter}s`);
+    throw providerError(503, `Weather lookups paused for ${Math.ceil(retryAfter / 60)} min (hourly limit reached)`);
+  }
 
   // --- TTLs ---
   const FORECAST_TTL = 30 * 60 * 1000; // 30 min
   const CURRENT_TTL  = 10 * 60 * 1000; // 10 min
+  const ALERT_TTL    =  5 * 60 * 1000; // 5 min
   const GEO_TTL      = 24 * 60 * 60 * 1000; // 24 hr
-  const ZIP_TTL      = 24 * 60 * 60 * 1000; // 24 hr
+  const GEO_MAX_STALE = 30 * 24 * 60 * 60 * 1000; // towns rarely move
 
   // --- US state map ---
   const STATE_NAMES = {
@@ -48,158 +82,129 @@ export function createWeatherRouter(express, OPENWEATHER_KEY, log) {
     return found || "";
   }
 
-  function getKey(lat, lon, units) {
-    return `${lat},${lon},${units}`;
+  function pickProvider(name) {
+    const p = providers[name || defaultProvider];
+    if (!p) throw providerError(400, `Unknown or unconfigured weather provider "${name || defaultProvider}"`);
+    return p;
+  }
+
+  // --- ZIP or "City,ST" via Zippopotam.us (US, no key) ---
+  async function zippopotam({ zip, city, state }) {
+    let url;
+    if (zip) url = `https://api.zippopotam.us/us/${encodeURIComponent(zip)}`;
+    else {
+      const [name, st = state] = city.split(",").map((s) => s.trim());
+      const abbr = getStateAbbr(st);
+      if (!abbr) throw providerError(400, `Add a US state to "${city}" (e.g. ${name},VA) or use zip=/lat=&lon=`);
+      url = `https://api.zippopotam.us/us/${abbr.toLowerCase()}/${encodeURIComponent(name.toLowerCase())}`;
+    }
+    const data = await getJson(url).catch((err) => {
+      throw err.status === 404 ? providerError(404, `No results for ${zip ? `ZIP ${zip}` : `"${city}"`}`) : err;
+    });
+    const place = data.places?.[0];
+    if (!place) throw providerError(404, `No results for ${zip ? `ZIP ${zip}` : `"${city}"`}`);
+    const state_abbr = place["state abbreviation"] || data["state abbreviation"];
+    return {
+      name: place["place name"],
+      state_abbr,
+      state_name: STATE_NAMES[state_abbr] || "",
+      country: data.country_abbreviation || "US",
+      lat: parseFloat(place.latitude),
+      lon: parseFloat(place.longitude),
+      ...(zip ? { zip } : {}),
+    };
   }
 
   // ------------------------------------------------------------
   // 🗺️ Resolve coordinates for ZIP or City
   // ------------------------------------------------------------
-  async function resolveCoords({ lat, lon, zip, city, state }) {
-    if (lat && lon) return { lat, lon };
-    if (!OPENWEATHER_KEY) throw new Error("Missing weather key");
-
-    const lookup = zip ? `zip:${zip}` : `city:${city || ""},${state || ""}`;
-    const cached = geoCache.get(lookup);
-    if (cached && Date.now() - cached.ts < GEO_TTL) return cached.data;
-
-    let coords;
-
-    // --- ZIP via Zippopotam.us ---
-    if (zip) {
-      const cachedZip = zipCache.get(zip);
-      if (cachedZip && Date.now() - cachedZip.ts < ZIP_TTL) {
-        coords = cachedZip.data;
-      } else {
-        const zipUrl = `https://api.zippopotam.us/us/${zip}`;
-        const zipRes = await fetch(zipUrl);
-        if (!zipRes.ok) throw new Error(`ZIP lookup failed (${zipRes.status})`);
-        const zipData = await zipRes.json();
-
-        const place = zipData.places?.[0];
-        if (!place) throw new Error(`No results for ZIP ${zip}`);
-
-        const lat = parseFloat(place.latitude);
-        const lon = parseFloat(place.longitude);
-        const state_abbr = place["state abbreviation"];
-        const state_name = STATE_NAMES[state_abbr] || "";
-        const name = place["place name"];
-        const country = zipData.country_abbreviation || "US";
-
-        coords = { name, state_abbr, state_name, country, lat, lon, zip };
-        zipCache.set(zip, { data: coords, ts: Date.now() });
-      }
-    }
-
-    // --- City via OpenWeather direct geocoding ---
-    else if (city) {
-      let cityQuery = city.trim();
-      const parts = cityQuery.split(",");
-      // Ensure country is appended
-      if (parts.length === 1) cityQuery += ",US";
-      else if (parts.length === 2 && parts[1].trim().length === 2)
-        cityQuery += ",US";
-
-      const url = `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(
-        cityQuery
-      )}&limit=1&appid=${OPENWEATHER_KEY}`;
-
-      const r = await fetch(url);
-      if (!r.ok) throw new Error(`Geocoding error ${r.status}`);
-      const data = await r.json();
-      if (!Array.isArray(data) || !data.length)
-        throw new Error(`No geocoding results for "${city}"`);
-
-      const item = data[0];
-      // Handle long or short state names
-      const abbr = getStateAbbr(item.state);
-      const full = getStateFullName(abbr);
-
-      coords = {
-        name: item.name,
-        state_abbr: abbr,
-        state_name: full,
-        country: item.country || "US",
-        lat: item.lat,
-        lon: item.lon
-      };
-    } else {
-      throw new Error("No location parameters provided");
+  async function resolveCoords(provider, { lat, lon, zip, city, state }) {
+    // 0 is a real latitude/longitude; only absent or blank values mean "not given"
+    if (lat != null && lon != null && lat !== "" && lon !== "") {
+      const [y, x] = [Number(lat), Number(lon)];
+      if (!Number.isFinite(y) || !Number.isFinite(x) || Math.abs(y) > 90 || Math.abs(x) > 180)
+        throw providerError(400, "lat and lon must be numbers (±90, ±180)");
+      return { name: "", state_abbr: "", state_name: "", country: "", lat: y, lon: x };
     }
+    if (!zip && !city) throw providerError(400, "No location parameters provided");
+
+    const key = `geo|${provider.name}|${zip ? `zip:${zip}` : `city:${city},${state || ""}`}`;
+    const { data } = await cache.get(key, GEO_TTL, async () => {
+      spend(key);
+      const coords = provider.geocode ? await provider.geocode({ zip, city, state }) : null;
+      if (!coords) return zippopotam({ zip, city, state });
+      const abbr = coords.state_abbr || getStateAbbr(coords.state);
+      return { name: coords.name, state_abbr: abbr, state_name: getStateFullName(abbr), country: coords.country, lat: coords.lat, lon: coords.lon, ...(zip ? { zip } : {}) };
+    }, { maxStale: GEO_MAX_STALE });
+    return data;
+  }
 
-    geoCache.set(lookup, { data: coords, ts: Date.now() });
-    return coords;
+  // query { provider, units, city | zip | lat+lon } → provider answer (cached)
+  function lookup(kind, ttl, icon) {
+    return async (query = {}) => {
+      const provider = pickProvider(query.provider);
+      const units = UNITS.includes(query.units) ? query.units : "imperial";
+      const location = await resolveCoords(provider, query);
+      const source = kind === "alerts" && !provider.alerts ? providers.nws : provider;
+      const cacheKey = `${kind}|${source.name}|${location.lat},${location.lon}|${kind === "alerts" ? "" : units}`;
+      const { data, fetched, stale } = await cache.get(cacheKey, ttl, async () => {
+        spend(cacheKey);
+        log(`${icon} Fetching ${kind} for ${cacheKey}`);
+        const body = await source[kind](location, units);
+        return {
+          provider: source.name,
+          location,
+          units,
+          unit_labels: UNIT_LABELS[units],
+          ...(kind === "forecast" ? { updated: new Date().toISOString() } : {}),
+          ...(kind === "alerts" ? { alerts: body } : body),
+        };
+      });
+      return { ...data, fetched: new Date(fetched).toISOString(), ...(stale ? { stale: true } : {}) };
+    };
   }
 
-  // ------------------------------------------------------------
-  // 🌡️ /api/weather/current
-  // ------------------------------------------------------------
-  router.get("/current", async (req, res) => {
-    const { lat, lon, units, zip, city, state } = req.query;
-    try {
-      const coords = await resolveCoords({ lat, lon, zip, city, state });
-      const cacheKey = getKey(coords.lat, coords.lon, units);
-      const cached = currentCache.get(cacheKey);
-      if (cached && Date.now() - cached.ts < CURRENT_TTL) {
-        log(`🌡️ Using cached current weather for ${cacheKey}`);
-        return res.json(cached.data);
-      }
-
-      const url = `https://api.openweathermap.org/data/2.5/weather?lat=${coords.lat}&lon=${coords.lon}&units=${
-        units || "imperial"
-      }&appid=${OPENWEATHER_KEY}`;
-
-      const r = await fetch(url);
-      const data = await r.json();
-      if (r.ok) {
-        data.name = coords.name || data.name;
-        data.state_abbr = coords.state_abbr || "";
-        data.state_name = coords.state_name || "";
-        data.country = coords.country || data.sys?.country;
-        currentCache.set(cacheKey, { data, ts: Date.now() });
-      } else log(`⚠️ Current weather API error ${r.status}`);
-      res.json(data);
-    } catch (err) {
-      console.error("❌ Current weather error:", err);
-      res.status(500).json({ error: err.message });
-    }
-  });
+  return {
+    defaultProvider,
+    providers: Object.keys(providers),
+    current: lookup("current", CURRENT_TTL, "🌡️"),
+    forecast: lookup("forecast", FORECAST_TTL, "🌤️"),
+    alerts: lookup("alerts", ALERT_TTL, "⚠️"),
+    cacheStatus: cache.status,
+    budgetStatus: budget.status,
+  };
+}
 
-  // ------------------------------------------------------------
-  // 🌤️ /api/weather (forecast)
-  // ------------------------------------------------------------
-  router.get("/", async (req, res) => {
-    const { lat, lon, units, zip, city, state } = req.query;
+// ------------------------------------------------------------
+// 🌡️ /api/weather/current   🌤️ /api/weather (forecast)   ⚠️ /api/weather/alerts
+// ------------------------------------------------------------
+// limit (ratelimit.js) caps requests per kiosk IP before anything is looked up
+export function createWeatherRouter(express, weather, log, { limit } = {}) {
+  const router = express.Router();
+  if (limit) router.use(rateLimited(limit, { label: "weather requests", log }));
+
+  const endpoint = (kind) => async (req, res) => {
     try {
-      const coords = await resolveCoords({ lat, lon, zip, city, state });
-      const cacheKey = getKey(coords.lat, coords.lon, units);
-      const cached = weatherCache.get(cacheKey);
-      if (cached && Date.now() - cached.ts < FORECAST_TTL) {
-        log(`🌤️ Using cached forecast for ${cacheKey}`);
-        return res.json(cached.data);
-      }
-
-      const url = `https://api.openweathermap.org/data/2.5/forecast?lat=${coords.lat}&lon=${coords.lon}&units=${
-        units || "imperial"
-      }&appid=${OPENWEATHER_KEY}`;
-
-      const r = await fetch(url);
-      const data = await r.json();
-      if (r.ok) {
-        if (!data.city) data.city = {};
-        data.city.name = coords.name || data.city.name;
-        data.city.state_abbr = coords.state_abbr || "";
-        data.city.state_name = coords.state_name || "";
-        data.city.country = coords.country || data.city.country;
-        weatherCache.set(cacheKey, { data, ts: Date.now() });
-      } else log(`⚠️ Forecast API error ${r.status}`);
-      res.json(data);
+      res.json(await weather[kind](req.query));
     } catch (err) {
-      console.error("❌ Forecast weather error:", err);
-      res.status(500).json({ error: err.message });
+      if (!err.status) console.error(`❌ Weather ${kind} error:`, err);
+      else log(`⚠️ Weather ${kind}: ${err.message}`);
+      res.status(err.status || 500).json({ error: err.message });
     }
-  });
+  };
+
+  router.get("/current", endpoint("current"));
+  router.get("/", endpoint("forecast"));
+  router.get("/alerts", endpoint("alerts"));
+  router.get("/providers", (req, res) =>
+    res.json({
+      default: weather.defaultProvider,
+      available: weather.providers,
+      cache: weather.cacheStatus(),
+      upstream: weather.budgetStatus(),
+      ...(limit ? { rate_limit: limit.status() } : {}),
+    })
+  );
 
   return router;
 }
-
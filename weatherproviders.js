@@ -0,0 +1,403 @@
+// ------------------------------------------------------------
+// 🌦️ Weather providers – one normalized shape for every source
+// ------------------------------------------------------------
+// A provider is { name, needsKey, geocode?, current, forecast }:
+//   geocode({ zip, city, state }) → location | null (null = use the shared
+//                                   zippopotam.us lookup instead)
+//   current(location, units)      → CURRENT
+//   forecast(location, units)     → FORECAST
+//   alerts?(location)             → [ALERT] (providers without it borrow NWS)
+//
+// CURRENT  { provider, location, units, observed, temp, feels_like, humidity,
+//            wind_speed, wind_deg, condition, sunrise, sunset }
+// FORECAST { provider, location, units, updated,
+//            hourly: [{ time, temp, pop, condition }],
+//            daily:  [{ date: "YYYY-MM-DD", high, low, pop, condition }] }
+// ALERT    { id, event, severity, urgency, headline, description, instruction,
+//            area, sender, onset, expires }, severity ∈ SEVERITIES
+// condition { code, text, icon_url, is_day }, code ∈ CONDITIONS
+// units: "imperial" (°F, mph) or "metric" (°C, m/s); pop in %, times ISO.
+// ------------------------------------------------------------
+import fs from "fs";
+
+export const CONDITIONS = [
+  "clear", "partly-cloudy", "cloudy", "fog", "drizzle", "rain",
+  "showers", "thunderstorm", "snow", "sleet", "wind", "unknown",
+];
+export const SEVERITIES = ["unknown", "minor", "moderate", "severe", "extreme"];
+export const UNITS = ["imperial", "metric"];
+export const UNIT_LABELS = {
+  imperial: { temp: "°F", wind: "mph" },
+  metric: { temp: "°C", wind: "m/s" },
+};
+
+const FETCH_TIMEOUT_MS = 10000;
+const round1 = (v) => (v == null || !Number.isFinite(Number(v)) ? null : Math.round(Number(v) * 10) / 10);
+const cToF = (c) => (c == null ? null : (c * 9) / 5 + 32);
+const fToC = (f) => (f == null ? null : ((f - 32) * 5) / 9);
+const MPH_PER_MS = 2.23694;
+
+export function providerError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// fetch → JSON; network failures and HTTP errors become 502s naming the host
+export async function getJson(url, headers = {}) {
+  let r;
+  try {
+    r = await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (err) {
+    throw providerError(502, `${new URL(url).host} unreachable (${err.cause?.code || err.message})`);
+  }
+  if (r.status === 404) throw providerError(404, `${new URL(url).host}: not found`);
+  if (!r.ok) throw providerError(502, `${new URL(url).host} responded ${r.status}`);
+  return r.json();
+}
+
+function normalizeAlert(a) {
+  const severity = String(a.severity || "").toLowerCase();
+  return {
+    id: String(a.id || `${a.event}|${a.onset || a.effective || ""}`),
+    event: a.event || "Weather alert",
+    severity: SEVERITIES.includes(severity) ? severity : "unknown",
+    urgency: a.urgency || null,
+    headline: a.headline || a.event || "",
+    description: a.description || "",
+    instruction: a.instruction || "",
+    area: a.areaDesc || a.area || "",
+    sender: a.senderName || a.sender || "",
+    onset: a.onset || a.effective || null,
+    expires: a.ends || a.expires || null,
+  };
+}
+
+// Most severe first
+export const bySeverity = (a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity);
+
+// Hourly entries grouped by date → daily high/low/pop, the midday condition.
+function dailyFromHourly(hourly, dateOf) {
+  const days = new Map();
+  for (const h of hourly) {
+    const d = dateOf(h);
+    if (!days.has(d)) days.set(d, []);
+    days.get(d).push(h);
+  }
+  return [...days].map(([date, list]) => {
+    const temps = list.map((h) => h.temp_max ?? h.temp).filter((t) => t != null);
+    const lows = list.map((h) => h.temp_min ?? h.temp).filter((t) => t != null);
+    return {
+      date,
+      high: temps.length ? round1(Math.max(...temps)) : null,
+      low: lows.length ? round1(Math.min(...lows)) : null,
+      pop: Math.max(0, ...list.map((h) => h.pop || 0)),
+      condition: list[Math.floor(list.length / 2)].condition,
+    };
+  });
+}
+
+// ------------------------------------------------------------
+// ☁️ OpenWeather (api.openweathermap.org, needs a key)
+// ------------------------------------------------------------
+function owCondition(w = {}) {
+  const id = Number(w.id) || 0;
+  const code =
+    id >= 200 && id < 300 ? "thunderstorm"
+    : id >= 300 && id < 400 ? "drizzle"
+    : id === 511 || (id >= 611 && id <= 616) ? "sleet"
+    : id >= 520 && id < 600 ? "showers"
+    : id >= 500 && id < 600 ? "rain"
+    : id >= 600 && id < 700 ? "snow"
+    : id === 771 || id === 781 ? "wind"
+    : id >= 700 && id < 800 ? "fog"
+    : id === 800 ? "clear"
+    : id === 801 || id === 802 ? "partly-cloudy"
+    : id > 802 ? "cloudy"
+    : "unknown";
+  return {
+    code,
+    text: w.description || code,
+    icon_url: w.icon ? `https://openweathermap.org/img/wn/${w.icon}@2x.png` : null,
+    is_day: w.icon ? w.icon.endsWith("d") : null,
+  };
+}
+
+export function createOpenWeatherProvider({ key, baseUrl = "https://api.openweathermap.org" }) {
+  const need = () => {
+    if (!key) throw providerError(503, "OpenWeather needs KIOSK_OPENWEATHER_KEY");
+  };
+
+  // City names go through OpenWeather's geocoder (handles non-US places);
+  // ZIP codes fall through to the shared lookup.
+  async function geocode({ city }) {
+    if (!city) return null;
+    need();
+    let q = city.trim();
+    const parts = q.split(",");
+    if (parts.length === 1 || (parts.length === 2 && parts[1].trim().length === 2)) q += ",US";
+    const data = await getJson(`${baseUrl}/geo/1.0/direct?q=${encodeURIComponent(q)}&limit=1&appid=${key}`);
+    if (!Array.isArray(data) || !data.length) throw providerError(404, `No geocoding results for "${city}"`);
+    const item = data[0];
+    return { name: item.name, state: item.state || "", country: item.country || "US", lat: item.lat, lon: item.lon };
+  }
+
+  async function current(location, units) {
+    need();
+    const d = await getJson(`${baseUrl}/data/2.5/weather?lat=${location.lat}&lon=${location.lon}&units=${units}&appid=${key}`);
+    return {
+      observed: new Date((d.dt || Date.now() / 1000) * 1000).toISOString(),
+      temp: round1(d.main?.temp),
+      feels_like: round1(d.main?.feels_like),
+      humidity: d.main?.humidity ?? null,
+      wind_speed: round1(d.wind?.speed),
+      wind_deg: d.wind?.deg ?? null,
+      condition: owCondition(d.weather?.[0]),
+      sunrise: d.sys?.sunrise ? new Date(d.sys.sunrise * 1000).toISOString() : null,
+      sunset: d.sys?.sunset ? new Date(d.sys.sunset * 1000).toISOString() : null,
+    };
+  }
+
+  async function forecast(location, units) {
+    need();
+    const d = await getJson(`${baseUrl}/data/2.5/forecast?lat=${location.lat}&lon=${location.lon}&units=${units}&appid=${key}`);
+    const offset = d.city?.timezone || 0; // seconds east of UTC
+    const hourly = (d.list || []).map((e) => ({
+      time: new Date(e.dt * 1000).toISOString(),
+      temp: round1(e.main?.temp),
+      temp_max: e.main?.temp_max,
+      temp_min: e.main?.temp_min,
+      pop: Math.round((e.pop || 0) * 100),
+      condition: owCondition(e.weather?.[0]),
+      dt: e.dt,
+    }));
+    const daily = dailyFromHourly(hourly, (h) => new Date((h.dt + offset) * 1000).toISOString().slice(0, 10));
+    return {
+      hourly: hourly.map(({ temp_max, temp_min, dt, ...h }) => h),
+      daily,
+    };
+  }
+
+  return { name: "openweather", needsKey: true, geocode, current, forecast };
+}
+
+// ------------------------------------------------------------
+// 🇺🇸 National Weather Service (api.weather.gov, US only, no key)
+// ------------------------------------------------------------
+function nwsCondition(text, iconUrl, isDay) {
+  const t = String(text || "").toLowerCase();
+  const code =
+    /thunder|t-storm/.test(t) ? "thunderstorm"
+    : /sleet|freezing|ice/.test(t) ? "sleet"
+    : /snow|flurr|blizzard/.test(t) ? "snow"
+    : /shower/.test(t) ? "showers"
+    : /drizzle/.test(t) ? "drizzle"
+    : /rain/.test(t) ? "rain"
+    : /fog|haze|smoke|mist|dust/.test(t) ? "fog"
+    : /wind|breezy|blustery/.test(t) ? "wind"
+    : /partly|mostly sunny|mostly clear|few clouds/.test(t) ? "partly-cloudy"
+    : /cloud|overcast/.test(t) ? "cloudy"
+    : /sunny|clear|fair/.test(t) ? "clear"
+    : "unknown";
+  return { code, text: text || code, icon_url: iconUrl || null, is_day: isDay ?? null };
+}
+
+// "5 to 10 mph" → 10
+const nwsWind = (s) => {
+  const nums = String(s || "").match(/\d+(\.\d+)?/g);
+  return nums ? Math.max(...nums.map(Number)) : null;
+};
+const COMPASS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+export function createNwsProvider({ userAgent, baseUrl = "https://api.weather.gov" }) {
+  const headers = { "User-Agent": userAgent, Accept: "application/geo+json" };
+  const points = new Map(); // "lat,lon" → /points properties (never change)
+
+  async function point(location) {
+    const key = `${Number(location.lat).toFixed(4)},${Number(location.lon).toFixed(4)}`;
+    if (!points.has(key)) {
+      const d = await getJson(`${baseUrl}/points/${key}`, headers);
+      points.set(key, d.properties);
+    }
+    return points.get(key);
+  }
+
+  const toUnits = (f, units) => round1(units === "metric" ? fToC(f) : f);
+  const windUnits = (mph, units) => round1(units === "metric" && mph != null ? mph / MPH_PER_MS : mph);
+
+  async function hourlyPeriods(location, units) {
+    const p = await point(location);
+    const d = await getJson(p.forecastHourly, headers);
+    return (d.properties?.periods || []).map((e) => ({
+      time: new Date(e.startTime).toISOString(),
+      local_date: e.startTime.slice(0, 10),
+      temp: toUnits(e.temperatureUnit === "C" ? cToF(e.temperature) : e.temperature, units),
+      pop: e.probabilityOfPrecipitation?.value ?? 0,
+      wind: windUnits(nwsWind(e.windSpeed), units),
+      wind_deg: COMPASS.includes(e.windDirection) ? COMPASS.indexOf(e.windDirection) * 22.5 : null,
+      condition: nwsCondition(e.shortForecast, e.icon, e.isDaytime),
+    }));
+  }
+
+  async function current(location, units) {
+    const p = await point(location);
+    let obs = null;
+    try {
+      const stations = await getJson(p.observationStations, headers);
+      const station = stations.features?.[0]?.properties?.stationIdentifier;
+      if (station) obs = (await getJson(`${baseUrl}/stations/${station}/observations/latest`, headers)).properties;
+    } catch {
+      obs = null; // stations go quiet now and then; the hourly forecast fills in
+    }
+    const tempC = obs?.temperature?.value;
+    if (tempC == null) {
+      const [now] = await hourlyPeriods(location, units);
+      if (!now) throw providerError(502, "NWS returned no current conditions");
+      return {
+        observed: now.time,
+        temp: now.temp,
+        feels_like: null,
+        humidity: null,
+        wind_speed: now.wind,
+        wind_deg: now.wind_deg,
+        condition: now.condition,
+        sunrise: null,
+        sunset: null,
+      };
+    }
+    const feelsC = obs.heatIndex?.value ?? obs.windChill?.value ?? tempC;
+    const windKmh = obs.windSpeed?.value;
+    const windMs = windKmh == null ? null : windKmh / 3.6;
+    return {
+      observed: obs.timestamp ? new Date(obs.timestamp).toISOString() : new Date().toISOString(),
+      temp: round1(units === "metric" ? tempC : cToF(tempC)),
+      feels_like: round1(units === "metric" ? feelsC : cToF(feelsC)),
+      humidity: obs.relativeHumidity?.value == null ? null : Math.round(obs.relativeHumidity.value),
+      wind_speed: round1(windMs == null ? null : units === "metric" ? windMs : windMs * MPH_PER_MS),
+      wind_deg: obs.windDirection?.value ?? null,
+      condition: nwsCondition(obs.textDescription, obs.icon, obs.icon ? !obs.icon.includes("/night/") : null),
+      sunrise: null,
+      sunset: null,
+    };
+  }
+
+  async function forecast(location, units) {
+    const p = await point(location);
+    const [hourly, twelve] = await Promise.all([hourlyPeriods(location, units), getJson(p.forecast, headers)]);
+    // Day periods give the high, night periods the low; gaps (e.g. "Tonight"
+    // first) are filled from the hourly forecast.
+    const fromHourly = new Map(dailyFromHourly(hourly, (h) => h.local_date).map((d) => [d.date, d]));
+    const days = new Map();
+    for (const e of twelve.properties?.periods || []) {
+      const date = e.startTime.slice(0, 10);
+      const day = days.get(date) || { date, high: null, low: null, pop: 0, condition: null };
+      const t = toUnits(e.temperatureUnit === "C" ? cToF(e.temperature) : e.temperature, units);
+      if (e.isDaytime) {
+        day.high = t;
+        day.condition = nwsCondition(e.shortForecast, e.icon, true);
+      } else {
+        day.low = t;
+        day.condition ??= nwsCondition(e.shortForecast, e.icon, false);
+      }
+      day.pop = Math.max(day.pop, e.probabilityOfPrecipitation?.value ?? 0);
+      days.set(date, day);
+    }
+    const daily = [...days.values()].map((d) => ({
+      ...d,
+      high: d.high ?? fromHourly.get(d.date)?.high ?? null,
+      low: d.low ?? fromHourly.get(d.date)?.low ?? null,
+    }));
+    return {
+      hourly: hourly.map(({ local_date, wind, wind_deg, ...h }) => h),
+      daily,
+    };
+  }
+
+  async function alerts(location) {
+    const at = `${Number(location.lat).toFixed(4)},${Number(location.lon).toFixed(4)}`;
+    const d = await getJson(`${baseUrl}/alerts/active?point=${at}`, headers);
+    return (d.features || []).map((f) => normalizeAlert({ id: f.id, ...f.properties })).sort(bySeverity);
+  }
+
+  return { name: "nws", needsKey: false, current, forecast, alerts };
+}
+
+// ------------------------------------------------------------
+// 🧪 Mock – fixture file (or a stand-in server) for offline testing
+// ------------------------------------------------------------
+// The fixture is in imperial units with relative times (hourly[].hour and
+// daily[].day offsets from now), so it never goes stale. `source` may be a
+// file path or an http(s) URL serving the same JSON.
+export function createMockProvider({ source }) {
+  async function fixture() {
+    if (/^https?:\/\//.test(source)) return getJson(source);
+    return JSON.parse(await fs.promises.readFile(source, "utf8"));
+  }
+  const conv = (f, units) => round1(units === "metric" ? fToC(f) : f);
+  const convWind = (mph, units) => round1(units === "metric" ? mph / MPH_PER_MS : mph);
+
+  async function geocode(query) {
+    const { location } = await fixture();
+    return { ...location, name: query.city?.split(",")[0] || location.name, zip: query.zip || undefined };
+  }
+
+  async function current(location, units) {
+    const { current: c } = await fixture();
+    return {
+      observed: new Date().toISOString(),
+      temp: conv(c.temp, units),
+      feels_like: conv(c.feels_like ?? c.temp, units),
+      humidity: c.humidity ?? null,
+      wind_speed: convWind(c.wind_speed ?? 0, units),
+      wind_deg: c.wind_deg ?? null,
+      condition: { icon_url: null, is_day: true, ...c.condition },
+      sunrise: null,
+      sunset: null,
+    };
+  }
+
+  async function forecast(location, units) {
+    const { forecast: f } = await fixture();
+    const hourStart = new Date();
+    hourStart.setMinutes(0, 0, 0);
+    const today = new Date();
+    return {
+      hourly: (f.hourly || []).map((h) => ({
+        time: new Date(hourStart.getTime() + (h.hour || 0) * 3600 * 1000).toISOString(),
+        temp: conv(h.temp, units),
+        pop: h.pop ?? 0,
+        condition: { icon_url: null, is_day: true, ...h.condition },
+      })),
+      daily: (f.daily || []).map((d) => ({
+        date: new Date(today.getTime() + (d.day || 0) * 86400 * 1000).toISOString().slice(0, 10),
+        high: conv(d.high, units),
+        low: conv(d.low, units),
+        pop: d.pop ?? 0,
+        condition: { icon_url: null, is_day: true, ...d.condition },
+      })),
+    };
+  }
+
+  // Fixture alerts run from now for their `hours` (default 6)
+  async function alerts() {
+    const { alerts: list = [] } = await fixture();
+    const now = Date.now();
+    return list
+      .map((a) => normalizeAlert({ ...a, onset: new Date(now).toISOString(), expires: new Date(now + (a.hours || 6) * 3600 * 1000).toISOString() }))
+      .sort(bySeverity);
+  }
+
+  return { name: "mock", needsKey: false, geocode, current, forecast, alerts };
+}
+
+export const PROVIDERS = ["openweather", "nws", "mock"];
+
+// Provider instances by name; openweather only when a key is set.
+export function createWeatherProviders({ openWeatherKey, userAgent, mockSource }) {
+  const list = {
+    nws: createNwsProvider({ userAgent }),
+    mock: createMockProvider({ source: mockSource }),
+  };
+  if (openWeatherKey) list.openweather = createOpenWeatherProvider({ key: openWeatherKey });
+  return list;
+}
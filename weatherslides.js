@@ -0,0 +1,91 @@
+// ------------------------------------------------------------
+// 🌦️ Weather slides – `type: weather` and alert-driven playlists
+// ------------------------------------------------------------
+//   - id: richmond_weather
+//     type: weather
+//     city: Richmond,VA          # or zip: 23220, or lat: / lon:
+//     layout: hourly             # default | hourly | 5day | compact (mux tiles)
+//     units: metric              # imperial (default) | metric
+//     on_alert: front            # front: jump the queue while a warning is active
+//                                # only:  show only while a warning is active
+//     alert_severity: severe     # minor | moderate | severe (default) | extreme
+//
+// The player sees an html slide pointing at /pages/weather.html. The alert
+// watcher polls every on_alert slide's location and calls onChange() when
+// the set of qualifying alerts changes, so kiosks can be told to refresh.
+// ------------------------------------------------------------
+import { SEVERITIES, bySeverity } from "./weatherproviders.js";
+
+export const WEATHER_LAYOUTS = ["default", "hourly", "5day", "compact"];
+export const ALERT_MODES = ["front", "only"];
+export const DEFAULT_ALERT_SEVERITY = "severe";
+const ALERT_POLL_MS = 5 * 60 * 1000;
+
+// Location / provider / units fields as an /api/weather query
+export function weatherQuery(slide) {
+  const q = {};
+  if (slide.lat != null && slide.lon != null) Object.assign(q, { lat: slide.lat, lon: slide.lon });
+  else if (slide.zip != null) q.zip = String(slide.zip);
+  else if (slide.city) q.city = slide.city;
+  if (slide.provider) q.provider = slide.provider;
+  if (slide.units) q.units = slide.units;
+  return q;
+}
+
+export function weatherPageUrl(slide) {
+  const q = new URLSearchParams(weatherQuery(slide));
+  if (slide.layout && slide.layout !== "default") q.set("layout", slide.layout);
+  if (slide.alerts === false) q.set("alerts", "0");
+  return `/pages/weather.html?${q}`;
+}
+
+const atLeast = (min) => (a) => SEVERITIES.indexOf(a.severity) >= SEVERITIES.indexOf(min || DEFAULT_ALERT_SEVERITY);
+
+// slides() → current slide library; onChange(ids) when alerts start or end
+export function createAlertWatcher({ weather, slides, onChange, log, intervalMs = ALERT_POLL_MS }) {
+  const active = new Map(); // slide id → [alert]
+  let timer = null;
+
+  async function check() {
+    const watched = (slides() || []).filter((s) => s.type === "weather" && ALERT_MODES.includes(s.on_alert));
+    const changed = [];
+    for (const slide of watched) {
+      let list;
+      try {
+        const { alerts } = await weather.alerts(weatherQuery(slide));
+        list = alerts.filter(atLeast(slide.alert_severity)).sort(bySeverity);
+      } catch (err) {
+        log(`⚠️ Weather alerts for ${slide.id} unavailable: ${err.message}`);
+        continue; // keep the last known state
+      }
+      const before = (active.get(slide.id) || []).map((a) => a.id).join("|");
+      if (list.map((a) => a.id).join("|") === before) continue;
+      active.set(slide.id, list);
+      changed.push(slide.id);
+      log(list.length ? `⚠️ ${slide.id}: ${list.map((a) => a.event).join(", ")}` : `✅ ${slide.id}: alerts cleared`);
+    }
+    // Slides removed from the config (or no longer watching) drop out
+    for (const id of active.keys()) {
+      if (!watched.some((s) => s.id === id)) {
+        active.delete(id);
+        changed.push(id);
+      }
+    }
+    if (changed.length) onChange(changed);
+    return changed;
+  }
+
+  // onChange or slides() may throw; an unhandled rejection would end the process
+  const checkSafely = () => check().catch((err) => log(`⚠️ Weather alert check failed: ${err.message}`));
+
+  function start() {
+    checkSafely();
+    timer = setInterval(checkSafely, intervalMs);
+    timer.unref?.();
+  }
+
+  // Qualifying alerts for a slide (most severe first)
+  const alertsFor = (id) => active.get(id) || [];
+
+  return { check, checkSafely, start, alertsFor };
+}
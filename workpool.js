@@ -0,0 +1,37 @@
+// ------------------------------------------------------------
+// 🧵 Work pool – run at most N async jobs at once
+// ------------------------------------------------------------
+import os from "os";
+
+export function defaultConcurrency() {
+  return Math.max(1, os.availableParallelism?.() ?? os.cpus().length);
+}
+
+export function createWorkPool(concurrency = defaultConcurrency()) {
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    while (active < concurrency && queue.length) {
+      const { job, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  // run(job) → promise of job()'s result, started when a slot frees up
+  function run(job) {
+    return new Promise((resolve, reject) => {
+      queue.push({ job, resolve, reject });
+      next();
+    });
+  }
+
+  return { run, size: () => active + queue.length, concurrency };
+}